@@ -0,0 +1,72 @@
+const { input, select } = require('@inquirer/prompts');
+const { useEnvironment } = require('./secretBackend');
+const { getEnvironmentIds, getEnvironmentChoices, getSecretName, getFlagValue, isNonInteractive, resolveInput, assertChoice } = require('./config');
+const { createApprovalToken, isProtectedEnvironment } = require('./productionGuard');
+
+// Run by the second approver. Prints a one-time token that the operator
+// enters when a rotation asks for it.
+async function approveChange(options = {}) {
+  const { nonInteractive = isNonInteractive() } = options;
+  console.log('✍️  Change Approval Tool\n');
+
+  const environment = await resolveInput(options.environment || getFlagValue('env'), {
+    nonInteractive,
+    missing: '--env is required',
+    ask: () => select({
+      message: 'Select the environment to approve a change for:',
+      choices: getEnvironmentChoices()
+    })
+  });
+  assertChoice('Environment', environment, getEnvironmentIds());
+
+  if (!isProtectedEnvironment(environment)) {
+    console.log(`ℹ️  ${environment} is not a protected environment - no approval is needed.`);
+    return;
+  }
+
+  useEnvironment(environment);
+  const secretName = options.secretName || getFlagValue('secret') || getSecretName(environment);
+
+  const changeTicket = (await resolveInput(options.changeTicket || getFlagValue('change-ticket'), {
+    nonInteractive,
+    missing: '--change-ticket is required',
+    ask: () => input({
+      message: 'Change ticket ID being approved:',
+      validate: (value) => value.trim() !== '' || 'Change ticket cannot be empty'
+    })
+  })).trim();
+
+  const validMinutes = Number(options.validMinutes || getFlagValue('valid-minutes') || (nonInteractive ? 60 : await input({
+    message: 'Approval valid for (minutes):',
+    default: '60',
+    validate: (value) => Number(value) > 0 || 'Enter a positive number of minutes'
+  })));
+  if (!(validMinutes > 0)) {
+    throw new Error('--valid-minutes must be a positive number');
+  }
+
+  const { token, approval } = await createApprovalToken({ environment, secretName, changeTicket, validMinutes });
+
+  console.log('\n📋 Approval:');
+  console.log(`Environment: ${approval.environment}`);
+  console.log(`Secret: ${approval.secretName}`);
+  console.log(`Change ticket: ${approval.changeTicket}`);
+  console.log(`Approver: ${approval.approver} (${approval.approverArn})`);
+  console.log(`Expires: ${approval.expiresAt}`);
+  console.log('\n🔑 One-time approval token (give this to the operator):\n');
+  console.log(token);
+
+  return approval;
+}
+
+module.exports = {
+  approveChange
+};
+
+if (require.main === module) {
+  approveChange()
+    .catch(error => {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { fingerprintValue } = require('./secretDiff');
+const { getActiveEnvironment, getBackend } = require('./secretBackend');
+const packageInfo = require('./package.json');
+
+// Every secret mutation appends one JSON line. Each record carries the hash
+// of the record before it, so editing or deleting any line breaks the chain
+// from that point on (see verifyAuditLog).
+const DEFAULT_AUDIT_FILE = 'secret-audit.log.jsonl';
+const GENESIS_HASH = '0'.repeat(64);
+
+let lastHashInProcess = GENESIS_HASH;
+
+// JSON with sorted keys, so a record always hashes the same way
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRecord(record) {
+  const { hash, ...rest } = record;
+  return crypto.createHash('sha256').update(canonicalize(rest)).digest('hex');
+}
+
+function createFileSink(filePath) {
+  const logPath = path.resolve(filePath);
+
+  // One { record } per line, or { error } for a line that is not valid JSON
+  // (truncated or garbled), so a single bad line cannot hide the others
+  function readEntries() {
+    if (!fs.existsSync(logPath)) {
+      return [];
+    }
+    return fs.readFileSync(logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return { record: JSON.parse(line) };
+        } catch (error) {
+          return { error };
+        }
+      });
+  }
+
+  function readRecords() {
+    return readEntries().filter(entry => entry.record).map(entry => entry.record);
+  }
+
+  return {
+    name: `file:${logPath}`,
+    readEntries,
+    readRecords,
+    lastHash() {
+      const records = readRecords();
+      return records.length > 0 ? records[records.length - 1].hash : GENESIS_HASH;
+    },
+    async append(record) {
+      fs.appendFileSync(logPath, JSON.stringify(record) + '\n');
+    }
+  };
+}
+
+function createHttpSink(url, token) {
+  return {
+    name: `http:${url}`,
+    async append(record) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(record) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+    }
+  };
+}
+
+// The local file is always written (SECRET_AUDIT_LOG or "audit.file" in the
+// config file); SECRET_AUDIT_HTTP_ENDPOINT or "audit.httpEndpoint" adds an
+// HTTP sink that receives the same records
+function getAuditSinks() {
+  const auditConfig = loadConfig().audit || {};
+  const sinks = [createFileSink(process.env.SECRET_AUDIT_LOG || auditConfig.file || DEFAULT_AUDIT_FILE)];
+
+  const httpEndpoint = process.env.SECRET_AUDIT_HTTP_ENDPOINT || auditConfig.httpEndpoint;
+  if (httpEndpoint) {
+    sinks.push(createHttpSink(httpEndpoint, process.env.SECRET_AUDIT_HTTP_TOKEN));
+  }
+  return sinks;
+}
+
+function getOperatorIdentity() {
+  if (process.env.SECRET_ROTATOR_OPERATOR) {
+    return process.env.SECRET_ROTATOR_OPERATOR;
+  }
+  const profile = getBackend().settings && getBackend().settings.profile;
+  return `${os.userInfo().username}@${os.hostname()}${profile ? ` (profile ${profile})` : ''}`;
+}
+
+// Fingerprints of the given keys' values; removed keys are recorded as null
+function fingerprintKeys(values, keys) {
+  return Object.fromEntries(keys.map(key => [key, values[key] === null || values[key] === undefined ? null : fingerprintValue(values[key])]));
+}
+
+// Appends an audit record for a secret mutation. `event` carries the action
+// and whatever identifies it (secretName, keys, versionId, label, ...). Never
+// pass plaintext values - use fingerprintKeys. Sink failures are reported but
+// do not undo or fail the mutation that already happened.
+async function recordAuditEvent(event) {
+  const sinks = getAuditSinks();
+  const chainSink = sinks.find(sink => sink.lastHash);
+
+  let prevHash = lastHashInProcess;
+  try {
+    if (chainSink) {
+      prevHash = chainSink.lastHash();
+    }
+  } catch (error) {
+    console.error(`❌ AUDIT: could not read previous record from ${chainSink.name}: ${error.message}`);
+  }
+
+  const record = {
+    timestamp: new Date().toISOString(),
+    operator: getOperatorIdentity(),
+    environment: getActiveEnvironment() || null,
+    backend: getBackend().name,
+    tool: `${packageInfo.name}@${packageInfo.version}`,
+    ...event,
+    prevHash
+  };
+  record.hash = hashRecord(record);
+  lastHashInProcess = record.hash;
+
+  for (const sink of sinks) {
+    try {
+      await sink.append(record);
+    } catch (error) {
+      console.error(`❌ AUDIT: failed to write record to ${sink.name}: ${error.message}`);
+    }
+  }
+  return record;
+}
+
+function readAuditRecords() {
+  const chainSink = getAuditSinks().find(sink => sink.readRecords);
+  return chainSink ? chainSink.readRecords() : [];
+}
+
+// Walks the local audit file and checks every hash and every back-link
+function verifyAuditLog(filePath) {
+  const auditConfig = loadConfig().audit || {};
+  const sink = createFileSink(filePath || process.env.SECRET_AUDIT_LOG || auditConfig.file || DEFAULT_AUDIT_FILE);
+  const entries = sink.readEntries();
+  const records = entries.length;
+
+  let expectedPrevHash = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const { record, error } = entries[i];
+    if (error) {
+      return { valid: false, records, brokenAt: i + 1, reason: `record is not valid JSON (truncated or garbled): ${error.message}`, file: sink.name };
+    }
+    if (record.prevHash !== expectedPrevHash) {
+      return { valid: false, records, brokenAt: i + 1, reason: 'previous-record hash does not match (record removed, reordered or inserted)', file: sink.name };
+    }
+    if (hashRecord(record) !== record.hash) {
+      return { valid: false, records, brokenAt: i + 1, reason: 'record contents do not match its hash (record modified)', file: sink.name };
+    }
+    expectedPrevHash = record.hash;
+  }
+  return { valid: true, records, file: sink.name };
+}
+
+module.exports = {
+  recordAuditEvent,
+  readAuditRecords,
+  getOperatorIdentity,
+  fingerprintKeys,
+  verifyAuditLog
+};
@@ -0,0 +1,577 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { getEnvironmentIds, getAppIds, getSecretName: getDefaultSecretName, getEnvironmentForSecret, isNonInteractive } = require('../config');
+const { useEnvironment } = require('../secretBackend');
+const { getCleanupDefaults } = require('../labelRetention');
+const apple = require('../initiateAppleSecretRotation');
+const google = require('../initiateGoogleSecretRotation');
+const jwt = require('../initiateJwtPriv');
+const { approveChange } = require('../approveChange');
+const cleanup = require('../cleanupSecretVersions');
+const { loadManifest, runManifest } = require('../rotationManifest');
+const { reencryptSecretValues } = require('../reencryptSecretValues');
+const { inspectSecretValue } = require('../inspectSecretValue');
+const { backupSecret, restoreSecret } = require('../secretBackup');
+const { lintSecretValues } = require('../lintSecretValues');
+
+// 0 = success, 1 = the command failed, 2 = the command line was wrong.
+// check-expiry keeps its own monitoring exit codes (see EXPIRY_EXIT_CODES), so
+// a command can override the codes for failures and usage errors.
+const EXIT_CODES = { ok: 0, failure: 1, usage: 2 };
+const OUTPUT_FORMATS = ['text', 'json'];
+
+function usageError(message) {
+  const error = new Error(message);
+  error.name = 'UsageError';
+  return error;
+}
+
+// A description can be a function when it depends on the config file, which
+// is only read once --config has been parsed
+const GLOBAL_OPTIONS = {
+  env: { type: 'string', description: () => `Environment (${getEnvironmentIds().join(', ')})` },
+  app: { type: 'string', description: () => `App (${getAppIds().join(', ')})` },
+  region: { type: 'string', description: 'AWS region (overrides env vars and config file)' },
+  endpoint: { type: 'string', description: 'Custom Secrets Manager/KMS endpoint, e.g. LocalStack' },
+  profile: { type: 'string', description: 'Named AWS credentials profile' },
+  config: { type: 'string', description: 'Config file (default: ./secret-rotator.config.json)' },
+  'no-input': { type: 'boolean', description: 'Never prompt; fail on anything missing (or SECRET_ROTATOR_NO_INPUT=true)' },
+  'non-interactive': { type: 'boolean', description: 'Same as --no-input' },
+  output: { type: 'string', description: `Output format (${OUTPUT_FORMATS.join(', ')}, default: text)` },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+const GUARD_OPTIONS = {
+  'confirm-environment': { type: 'string', description: 'Environment name typed back for protected environments' },
+  'change-ticket': { type: 'string', description: 'Change ticket ID for protected environments' },
+  'approval-token': { type: 'string', description: 'Second-approver token from "secret-rotator approve"' }
+};
+
+// The guard flags as confirmProductionChange options
+function getGuardOptions(values) {
+  return {
+    confirmEnvironment: values['confirm-environment'],
+    changeTicket: values['change-ticket'],
+    approvalToken: values['approval-token']
+  };
+}
+
+const SECRET_OPTION = {
+  secret: { type: 'string', description: () => `Secret name (default: ${getDefaultSecretName('<env>')})` }
+};
+
+const SECRET_PATTERN_OPTION = {
+  secret: { type: 'string', description: () => `Secret name, prefix ("dev/") or glob ("*/web3-auth/*") (default: ${getDefaultSecretName('<env>')})` }
+};
+
+function getSecretName(values) {
+  if (values.secret) {
+    return values.secret;
+  }
+  if (!values.env) {
+    throw usageError('--env or --secret is required');
+  }
+  return getDefaultSecretName(values.env);
+}
+
+// Environment whose AWS settings apply: --env, else the environment the secret
+// name belongs to
+function selectEnvironment(values, secretName) {
+  useEnvironment(values.env || getEnvironmentForSecret(secretName));
+}
+
+function parseCount(values, name) {
+  if (values[name] === undefined) {
+    return undefined;
+  }
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw usageError(`--${name} must be a whole number, got "${values[name]}"`);
+  }
+  return value;
+}
+
+// Commands that change things ask before doing so; without a terminal there
+// is nobody to ask
+function requireForceWhenNonInteractive(values) {
+  if (values.nonInteractive && !values.force && !values['dry-run']) {
+    throw usageError('--force or --dry-run is required with --no-input');
+  }
+}
+
+const COMMANDS = {
+  apple: {
+    summary: 'Generate, encrypt and store a new Apple client secret',
+    options: {
+      'client-id': { type: 'string', description: 'Apple Client ID (or <APP>_APPLE_CLIENT_ID)' },
+      'team-id': { type: 'string', description: 'Apple Team ID (or <APP>_APPLE_TEAM_ID)' },
+      'key-path': { type: 'string', description: 'Path to the .p8 signing key (or <APP>_APPLE_KEY_PATH)' },
+      'key-id': { type: 'string', description: 'Apple Key ID (or <APP>_APPLE_KEY_ID, default: from an AuthKey_<KEYID>.p8 file name)' },
+      'expiry-days': { type: 'string', description: 'Days until the secret expires (or APPLE_CLIENT_SECRET_EXPIRY_DAYS, default: 180, capped at six months)' },
+      ...GUARD_OPTIONS
+    },
+    // promptForInputs falls back to environment variables and prompts for
+    // anything not given here
+    run: (values) => apple.main({
+      environment: values.env,
+      app: values.app,
+      nonInteractive: values.nonInteractive,
+      config: {
+        clientId: values['client-id'],
+        teamId: values['team-id'],
+        keyPath: values['key-path'],
+        keyId: values['key-id'],
+        expiryDays: values['expiry-days']
+      },
+      ...getGuardOptions(values)
+    })
+  },
+  google: {
+    summary: 'Store a new Google OAuth client (web client JSON, secret, iOS/Android client IDs)',
+    options: {
+      'client-json': { type: 'string', description: 'client_secret_*.json of the web client, from Google Cloud Console' },
+      'client-secret': { type: 'string', description: 'Google web client secret only (prefer <APP>_GOOGLE_WEB_CLIENT_SECRET)' },
+      'ios-client-id': { type: 'string', description: 'iOS OAuth client ID' },
+      'android-client-id': { type: 'string', description: 'Android OAuth client ID' },
+      ...GUARD_OPTIONS
+    },
+    run: (values) => google.main({
+      environment: values.env,
+      app: values.app,
+      nonInteractive: values.nonInteractive,
+      config: {
+        clientJson: values['client-json'],
+        webClientSecret: values['client-secret'],
+        iosClientId: values['ios-client-id'],
+        androidClientId: values['android-client-id']
+      },
+      ...getGuardOptions(values)
+    })
+  },
+  jwt: {
+    summary: 'Generate a new JWT signing key pair ("jwt finalize" retires the previous key)',
+    positionals: '[finalize]',
+    options: {
+      alg: { type: 'string', description: `Signing algorithm (${Object.keys(jwt.JWT_ALGORITHMS).join(', ')})` },
+      modulus: { type: 'string', description: `RSA modulus size (${jwt.RSA_MODULUS_LENGTHS.join(', ')})` },
+      'grace-hours': { type: 'string', description: 'Hours the previous public key stays valid' },
+      ...GUARD_OPTIONS
+    },
+    run: (values, positionals) => {
+      const options = { environment: values.env, nonInteractive: values.nonInteractive, ...getGuardOptions(values) };
+      if (positionals[0] === 'finalize') {
+        return jwt.finalizeJwtRollover(options);
+      }
+      if (positionals.length > 0) {
+        throw usageError(`Unknown jwt subcommand: ${positionals[0]}`);
+      }
+      if (values.alg && !jwt.JWT_ALGORITHMS[values.alg]) {
+        throw usageError(`--alg must be one of ${Object.keys(jwt.JWT_ALGORITHMS).join(', ')}`);
+      }
+      return jwt.generateJWTKeys({ ...options, algorithm: values.alg, modulusLength: values.modulus, graceHours: values['grace-hours'] });
+    }
+  },
+  run: {
+    summary: 'Run the rotations listed in a YAML or JSON manifest, in order',
+    positionals: '<manifest>',
+    options: GUARD_OPTIONS,
+    run: async (values, positionals) => {
+      if (positionals.length !== 1) {
+        throw usageError('run takes exactly one manifest file');
+      }
+      // Guard fields in a manifest entry win over the flags
+      return runManifest(loadManifest(positionals[0]), { nonInteractive: values.nonInteractive, ...getGuardOptions(values) });
+    },
+    exitCode: (result) => (result.ok ? EXIT_CODES.ok : EXIT_CODES.failure)
+  },
+  'check-expiry': {
+    summary: 'Report days left on Apple client secrets, optionally rotating expiring ones',
+    options: {
+      'warn-days': { type: 'string', description: 'Warn below N days (default: 30)' },
+      'critical-days': { type: 'string', description: 'Critical below N days (default: 14)' },
+      'rotate-below-days': { type: 'string', description: 'Rotate secrets below N days' },
+      'expiry-days': { type: 'string', description: 'Lifetime of rotated secrets in days (default: 180, capped at six months)' },
+      'main-key-path': { type: 'string', description: '.p8 used to re-sign the MAIN secret' },
+      'flask-key-path': { type: 'string', description: '.p8 used to re-sign the FLASK secret' },
+      ...GUARD_OPTIONS
+    },
+    run: (values) => apple.checkAppleSecretExpiry(apple.parseExpiryOptions(values)),
+    exitCode: (result) => result.exitCode,
+    // 1 and 2 mean warning and critical to a monitoring system
+    failureExitCode: apple.EXPIRY_EXIT_CODES.unknown,
+    usageExitCode: apple.EXPIRY_EXIT_CODES.unknown
+  },
+  approve: {
+    summary: 'Issue a one-time second-approver token for a protected environment',
+    options: {
+      ...SECRET_OPTION,
+      'change-ticket': GUARD_OPTIONS['change-ticket'],
+      'valid-minutes': { type: 'string', description: 'Minutes the token stays valid (default: 60)' }
+    },
+    run: (values) => approveChange({
+      environment: values.env,
+      secretName: values.secret,
+      changeTicket: values['change-ticket'],
+      validMinutes: values['valid-minutes'],
+      nonInteractive: values.nonInteractive
+    })
+  },
+  list: {
+    summary: 'List all versions of a secret and their labels',
+    options: SECRET_OPTION,
+    run: async (values) => {
+      const secretName = getSecretName(values);
+      selectEnvironment(values, secretName);
+      return { secretName, versions: await cleanup.listVersions(secretName) };
+    }
+  },
+  count: {
+    summary: 'Show the staging label count and free slots (one secret or every match of a pattern)',
+    options: SECRET_PATTERN_OPTION,
+    run: async (values) => {
+      const secretName = getSecretName(values);
+      if (cleanup.isSecretPattern(secretName)) {
+        return cleanup.countMatchingSecrets(secretName, { environment: values.env });
+      }
+      selectEnvironment(values, secretName);
+      return { secretName, totalLabels: await cleanup.countLabels(secretName) };
+    },
+    exitCode: (result) => (result.ok === false ? EXIT_CODES.failure : EXIT_CODES.ok)
+  },
+  cleanup: {
+    summary: 'Remove old timestamp labels (one secret or every match of a pattern)',
+    options: {
+      ...SECRET_PATTERN_OPTION,
+      keep: { type: 'string', description: () => `Keep the N most recent timestamp labels (default: ${getCleanupDefaults().keepCount})` },
+      days: { type: 'string', description: () => `Keep labels newer than N days (default: ${getCleanupDefaults().keepDays})` },
+      strict: { type: 'boolean', description: 'Ignore --days, keep exactly N labels' },
+      gfs: { type: 'boolean', description: 'Grandfather-father-son retention (--keep is then the newest labels to keep)' },
+      daily: { type: 'string', description: () => `Keep one label per day for N days (implies --gfs, default: ${getCleanupDefaults().retention.daily})` },
+      weekly: { type: 'string', description: () => `Keep one label per ISO week for N weeks (implies --gfs, default: ${getCleanupDefaults().retention.weekly})` },
+      monthly: { type: 'string', description: () => `Keep one label per month for N months (implies --gfs, default: ${getCleanupDefaults().retention.monthly})` },
+      'dry-run': { type: 'boolean', description: 'Show what would be removed without changing anything' },
+      backup: { type: 'boolean', description: 'Back up the version history before removing labels (otherwise offered unless --force)' },
+      force: { type: 'boolean', description: 'Skip the confirmation prompt and the backup offer' },
+      ...GUARD_OPTIONS
+    },
+    run: (values) => {
+      const secretName = getSecretName(values);
+      requireForceWhenNonInteractive(values);
+      const options = {
+        keepCount: parseCount(values, 'keep'),
+        keepDays: parseCount(values, 'days'),
+        strict: values.strict,
+        dryRun: values['dry-run'],
+        backup: values.backup,
+        force: values.force,
+        nonInteractive: values.nonInteractive,
+        ...getGuardOptions(values)
+      };
+      if (values.gfs || ['daily', 'weekly', 'monthly'].some(tier => values[tier] !== undefined)) {
+        options.retention = {};
+        for (const [tier, flag] of [['last', 'keep'], ['daily', 'daily'], ['weekly', 'weekly'], ['monthly', 'monthly']]) {
+          if (values[flag] !== undefined) {
+            options.retention[tier] = parseCount(values, flag);
+          }
+        }
+      }
+      if (cleanup.isSecretPattern(secretName)) {
+        return cleanup.cleanupMatchingSecrets(secretName, { ...options, environment: values.env });
+      }
+      selectEnvironment(values, secretName);
+      return cleanup.cleanupVersions(secretName, { ...options, environment: values.env });
+    },
+    exitCode: (result) => (result.ok === false || result.status === 'partial' ? EXIT_CODES.failure : EXIT_CODES.ok)
+  },
+  rollback: {
+    summary: 'Make an earlier version AWSCURRENT again',
+    positionals: '<label-or-version-id>',
+    options: {
+      ...SECRET_OPTION,
+      'dry-run': { type: 'boolean', description: 'Show the rollback plan without changing anything' },
+      force: { type: 'boolean', description: 'Skip the confirmation prompt' },
+      ...GUARD_OPTIONS
+    },
+    run: (values, positionals) => {
+      if (positionals.length !== 1) {
+        throw usageError('rollback takes exactly one label or version ID');
+      }
+      const secretName = getSecretName(values);
+      requireForceWhenNonInteractive(values);
+      selectEnvironment(values, secretName);
+      return cleanup.rollbackVersion(secretName, positionals[0], {
+        environment: values.env,
+        dryRun: values['dry-run'],
+        force: values.force,
+        nonInteractive: values.nonInteractive,
+        ...getGuardOptions(values)
+      });
+    }
+  },
+  diff: {
+    summary: 'Show added/removed/changed keys between two versions',
+    positionals: '<from> [to]',
+    options: {
+      ...SECRET_OPTION,
+      decrypt: { type: 'boolean', description: 'KMS-decrypt changed values and show JWT header/claim changes' }
+    },
+    run: (values, positionals) => {
+      if (positionals.length < 1 || positionals.length > 2) {
+        throw usageError('diff takes a from label or version ID and an optional to (default: AWSCURRENT)');
+      }
+      const secretName = getSecretName(values);
+      selectEnvironment(values, secretName);
+      return cleanup.diffVersions(secretName, positionals[0], positionals[1], { decrypt: values.decrypt });
+    }
+  },
+  inspect: {
+    summary: 'Decrypt one stored value and describe it (JWT claims, key type, or length and hash)',
+    positionals: '<key>',
+    options: {
+      ...SECRET_OPTION,
+      version: { type: 'string', description: 'Label or version ID to inspect (default: AWSCURRENT)' },
+      reveal: { type: 'boolean', description: 'Also print the full plaintext, after a confirmation' },
+      'yes-reveal': { type: 'boolean', description: 'Skip the --reveal confirmation (recorded in the audit log)' }
+    },
+    run: (values, positionals) => {
+      if (positionals.length !== 1) {
+        throw usageError('inspect takes exactly one key name, e.g. JWT_PRIV');
+      }
+      if (values['yes-reveal'] && !values.reveal) {
+        throw usageError('--yes-reveal only applies to --reveal');
+      }
+      if (values.reveal && values.nonInteractive && !values['yes-reveal']) {
+        throw usageError('--yes-reveal is required with --reveal and --no-input');
+      }
+      const secretName = getSecretName(values);
+      selectEnvironment(values, secretName);
+      return inspectSecretValue(secretName, positionals[0], {
+        environment: values.env,
+        version: values.version,
+        reveal: values.reveal,
+        yesReveal: values['yes-reveal'],
+        nonInteractive: values.nonInteractive
+      });
+    }
+  },
+  reencrypt: {
+    summary: 'Re-encrypt stored values so each is bound to its environment, secret and key',
+    options: {
+      ...SECRET_OPTION,
+      'dry-run': { type: 'boolean', description: 'Show which values would be re-encrypted without changing anything' },
+      force: { type: 'boolean', description: 'Skip the confirmation prompt' },
+      ...GUARD_OPTIONS
+    },
+    run: (values) => {
+      const secretName = getSecretName(values);
+      requireForceWhenNonInteractive(values);
+      const environment = values.env || getEnvironmentForSecret(secretName);
+      return reencryptSecretValues(environment, {
+        secretName,
+        dryRun: values['dry-run'],
+        force: values.force,
+        nonInteractive: values.nonInteractive,
+        ...getGuardOptions(values)
+      });
+    },
+    exitCode: (result) => (result.ok === false ? EXIT_CODES.failure : EXIT_CODES.ok)
+  },
+  lint: {
+    summary: 'Check AWSCURRENT against the secret schema (required keys, ciphertext, value formats)',
+    options: {
+      ...SECRET_OPTION,
+      decrypt: { type: 'boolean', description: 'Also decrypt encrypted values and check their format' }
+    },
+    run: (values) => {
+      const secretName = getSecretName(values);
+      const environment = values.env || getEnvironmentForSecret(secretName);
+      return lintSecretValues(environment, { secretName, decrypt: values.decrypt });
+    },
+    exitCode: (result) => (result.ok ? EXIT_CODES.ok : EXIT_CODES.failure)
+  },
+  backup: {
+    summary: 'Write every version of a secret, with labels and dates, to one encrypted file',
+    options: {
+      ...SECRET_OPTION,
+      file: { type: 'string', description: 'Backup file (default: <secret>-<timestamp>.backup.json in backup.directory or .)' },
+      'kms-alias': { type: 'string', description: "KMS key to encrypt under (default: the environment's KMS alias)" },
+      passphrase: { type: 'boolean', description: 'Encrypt under a passphrase instead (SECRET_BACKUP_PASSPHRASE or a prompt)' }
+    },
+    run: (values) => {
+      const secretName = getSecretName(values);
+      selectEnvironment(values, secretName);
+      return backupSecret(secretName, {
+        environment: values.env,
+        file: values.file,
+        kmsAlias: values['kms-alias'],
+        passphrase: values.passphrase,
+        nonInteractive: values.nonInteractive
+      });
+    }
+  },
+  restore: {
+    summary: 'Recreate the versions and labels of a backup file, in the same or another secret',
+    positionals: '<backup-file>',
+    options: {
+      secret: { type: 'string', description: 'Secret to restore into (default: the backed-up secret)' },
+      'dry-run': { type: 'boolean', description: 'Show the restore plan without changing anything' },
+      force: { type: 'boolean', description: 'Skip the confirmation prompt' },
+      ...GUARD_OPTIONS
+    },
+    run: (values, positionals) => {
+      if (positionals.length !== 1) {
+        throw usageError('restore takes exactly one backup file');
+      }
+      requireForceWhenNonInteractive(values);
+      return restoreSecret(positionals[0], {
+        secretName: values.secret,
+        environment: values.env,
+        dryRun: values['dry-run'],
+        force: values.force,
+        nonInteractive: values.nonInteractive,
+        ...getGuardOptions(values)
+      });
+    }
+  },
+  'verify-audit': {
+    summary: 'Check the hash chain of the audit log',
+    positionals: '[audit-log-file]',
+    options: {},
+    run: (values, positionals) => cleanup.verifyAudit(positionals[0]),
+    exitCode: (result) => (result.valid ? EXIT_CODES.ok : EXIT_CODES.failure)
+  }
+};
+
+function formatOptions(options) {
+  return Object.entries(options)
+    .map(([name, option]) => {
+      const flag = `--${name}${option.type === 'string' ? ' <value>' : ''}`;
+      const description = typeof option.description === 'function' ? option.description() : option.description;
+      return `  ${flag.padEnd(32)} ${description}`;
+    })
+    .join('\n');
+}
+
+function showUsage(commandName) {
+  const command = COMMANDS[commandName];
+  if (command) {
+    console.log(`
+Usage: secret-rotator ${commandName}${command.positionals ? ` ${command.positionals}` : ''} [options]
+
+${command.summary}
+${Object.keys(command.options).length > 0 ? `\nOptions:\n${formatOptions(command.options)}\n` : ''}
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+`);
+    return;
+  }
+
+  console.log(`
+🛠️  Secret Rotator
+
+Usage: secret-rotator <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, cmd]) => `  ${name.padEnd(14)} ${cmd.summary}`).join('\n')}
+
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+
+Exit codes: 0 success, 1 failure, 2 usage error (check-expiry: 0 ok, 1 warning, 2 critical, 3 unknown or usage error)
+
+Run "secret-rotator <command> --help" for command options.
+`);
+}
+
+function parseCommandLine(argv) {
+  const [commandName, ...rest] = argv;
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw usageError(commandName ? `Unknown command: ${commandName}` : 'A command is required');
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const environments = getEnvironmentIds();
+  if (values.env && !environments.includes(values.env)) {
+    throw usageError(`--env must be one of ${environments.join(', ')}, got "${values.env}"`);
+  }
+  const apps = getAppIds();
+  if (values.app && !apps.includes(values.app)) {
+    throw usageError(`--app must be one of ${apps.join(', ')}, got "${values.app}"`);
+  }
+  if (values.output && !OUTPUT_FORMATS.includes(values.output)) {
+    throw usageError(`--output must be one of ${OUTPUT_FORMATS.join(', ')}, got "${values.output}"`);
+  }
+  values.nonInteractive = isNonInteractive(argv);
+  return { commandName, command, values, positionals };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let commandLine;
+  try {
+    if (argv.length === 0 || ['--help', '-h', 'help'].includes(argv[0])) {
+      showUsage(argv[1]);
+      return EXIT_CODES.ok;
+    }
+    commandLine = parseCommandLine(argv);
+    if (commandLine.values.help) {
+      showUsage(commandLine.commandName);
+      return EXIT_CODES.ok;
+    }
+  } catch (error) {
+    // A broken config file is reported as it is; help would not fix it
+    const command = COMMANDS[argv[0]] || {};
+    console.error(`❌ ${error.message}`);
+    if (error.name === 'UsageError') {
+      console.error(`Run "secret-rotator ${COMMANDS[argv[0]] ? `${argv[0]} ` : ''}--help" for usage.`);
+      return command.usageExitCode ?? EXIT_CODES.usage;
+    }
+    return command.failureExitCode ?? EXIT_CODES.failure;
+  }
+
+  const { commandName, command, values, positionals } = commandLine;
+
+  // With --output json, stdout carries only the final JSON document; progress
+  // messages go to stderr
+  const json = values.output === 'json';
+  const log = console.log;
+  if (json) {
+    console.log = console.error;
+  }
+
+  try {
+    const result = await command.run(values, positionals);
+    const exitCode = command.exitCode ? command.exitCode(result) : EXIT_CODES.ok;
+    if (json) {
+      process.stdout.write(JSON.stringify({ ok: exitCode === EXIT_CODES.ok, command: commandName, result: result === undefined ? null : result }, null, 2) + '\n');
+    }
+    return exitCode;
+  } catch (error) {
+    const usage = error.name === 'UsageError';
+    console.error(`❌ ${usage ? '' : 'Error: '}${error.message}`);
+    if (json) {
+      process.stdout.write(JSON.stringify({ ok: false, command: commandName, error: error.message }, null, 2) + '\n');
+    }
+    return usage ? (command.usageExitCode ?? EXIT_CODES.usage) : (command.failureExitCode ?? EXIT_CODES.failure);
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  main
+};
+
+if (require.main === module) {
+  main().then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
@@ -1,41 +1,83 @@
-const { SecretsManagerClient, DescribeSecretCommand, UpdateSecretVersionStageCommand } = require('@aws-sdk/client-secrets-manager');
 const { confirm } = require('@inquirer/prompts');
+const { getBackend, useEnvironment, MAX_STAGING_LABELS } = require('./secretBackend');
+const { getCurrentSecretValues, getSecretVersionValues, listSecretNames, removeStagingLabel, resolveSecretVersion, rollbackSecretVersion, decryptWithKMS, getEncryptionContext } = require('./secretManager');
+const { getEnvironmentIds, getEnvironmentForSecret, getEncryptedKeyNames, isNonInteractive } = require('./config');
+const { confirmProductionChange } = require('./productionGuard');
+const { compareSecretKeys, diffSecretValues, diffJwtClaims } = require('./secretDiff');
+const { verifyAuditLog } = require('./auditLog');
+const { backupSecret } = require('./secretBackup');
+const {
+  DEFAULT_KEEP_COUNT,
+  DEFAULT_KEEP_DAYS,
+  DEFAULT_RETENTION,
+  getCleanupDefaults,
+  parseTimestampLabel,
+  isTimestampLabel,
+  identifyVersionsToCleanup,
+  identifyVersionsToCleanupByRetention
+} = require('./labelRetention');
 
-const secretsManagerClient = new SecretsManagerClient({ region: 'us-east-2' });
+// Label counts from here on are reported as approaching the limit
+const LABEL_WARNING_THRESHOLD = MAX_STAGING_LABELS - 2;
 
-// Configuration
-const DEFAULT_KEEP_COUNT = 10;
-const DEFAULT_KEEP_DAYS = 7;
-const AWS_REQUIRED_LABELS = ['AWSCURRENT', 'AWSPREVIOUS'];
+// "dev/" is a prefix; "*" matches within one path segment, "**" across
+// segments and "?" one character. Anything else names a single secret.
+function isSecretPattern(name) {
+  return /[*?]/.test(name) || name.endsWith('/');
+}
 
-function parseTimestampLabel(label) {
-  // Parse timestamp labels like "20250709_143530"
-  const match = label.match(/^(\d{8})_(\d{6})$/);
-  if (match) {
-    const [, dateStr, timeStr] = match;
-    const year = parseInt(dateStr.substring(0, 4));
-    const month = parseInt(dateStr.substring(4, 6)) - 1; // JavaScript months are 0-indexed
-    const day = parseInt(dateStr.substring(6, 8));
-    const hour = parseInt(timeStr.substring(0, 2));
-    const minute = parseInt(timeStr.substring(2, 4));
-    const second = parseInt(timeStr.substring(4, 6));
-    
-    return new Date(year, month, day, hour, minute, second);
-  }
-  return null;
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
 }
 
-function isTimestampLabel(label) {
-  return /^\d{8}_\d{6}$/.test(label);
+// Secrets matching `pattern`, each with the environment whose AWS settings
+// reach it. Without `environment`, a pattern starting with "<env>/" searches
+// that environment and anything else searches every declared environment's
+// "<env>/" secrets.
+async function findSecrets(pattern, options = {}) {
+  const { environment } = options;
+  const glob = pattern.endsWith('/') ? `${pattern}**` : pattern;
+  const regex = patternToRegExp(glob);
+  const literalPrefix = glob.split(/[*?]/)[0];
+  
+  const declared = getEnvironmentIds();
+  let environments = environment ? [environment] : declared;
+  const pinned = declared.find(env => literalPrefix.startsWith(`${env}/`));
+  if (!environment && pinned) {
+    environments = [pinned];
+  }
+  
+  const found = new Map();
+  for (const env of environments) {
+    useEnvironment(env);
+    const prefix = literalPrefix || (environment ? '' : `${env}/`);
+    for (const name of await listSecretNames(prefix)) {
+      // The same name reached through several environments is handled once
+      if (regex.test(name) && !found.has(name)) {
+        found.set(name, env);
+      }
+    }
+  }
+  
+  return [...found.entries()]
+    .map(([secretName, env]) => ({ secretName, environment: env }))
+    .sort((a, b) => a.secretName.localeCompare(b.secretName));
 }
 
 async function getSecretVersions(secretName) {
   try {
-    const command = new DescribeSecretCommand({
+    const response = await getBackend().describeSecret({
       SecretId: secretName
     });
-    
-    const response = await secretsManagerClient.send(command);
     return response.VersionIdsToStages || {};
   } catch (error) {
     throw new Error(`Failed to get secret versions: ${error.message}`);
@@ -82,10 +124,10 @@ async function listVersions(secretName) {
   console.log(`   Total versions: ${Object.keys(versions).length}`);
   console.log(`   Total labels: ${totalLabels}`);
   console.log(`   Timestamp labels: ${timestampLabels.length}`);
-  console.log(`   Available label slots: ${20 - totalLabels}`);
+  console.log(`   Available label slots: ${MAX_STAGING_LABELS - totalLabels}`);
   
-  if (totalLabels >= 18) {
-    console.log(`\n⚠️  WARNING: You have ${totalLabels} labels (approaching limit of 20)`);
+  if (totalLabels >= LABEL_WARNING_THRESHOLD) {
+    console.log(`\n⚠️  WARNING: You have ${totalLabels} labels (approaching limit of ${MAX_STAGING_LABELS})`);
     console.log(`   Consider cleaning up old timestamp labels.`);
   }
   
@@ -101,156 +143,64 @@ async function countLabels(secretName) {
   }
   
   console.log(`\n📊 Label count for ${secretName}:`);
-  console.log(`   Total labels: ${totalLabels}/20`);
-  console.log(`   Available slots: ${20 - totalLabels}`);
+  console.log(`   Total labels: ${totalLabels}/${MAX_STAGING_LABELS}`);
+  console.log(`   Available slots: ${MAX_STAGING_LABELS - totalLabels}`);
   
   return totalLabels;
 }
 
-function identifyVersionsToCleanup(versions, keepCount = DEFAULT_KEEP_COUNT, keepDays = DEFAULT_KEEP_DAYS, strict = false) {
-  const toRemoveLabels = [];
-  const toDeleteVersions = [];
-  const timestampVersions = [];
-  
-  // Find all versions with timestamp labels
-  for (const [versionId, labels] of Object.entries(versions)) {
-    // Skip required AWS labels
-    if (labels.includes('AWSCURRENT') || labels.includes('AWSPREVIOUS')) {
-      continue;
-    }
-    
-    const timestampLabels = labels.filter(isTimestampLabel);
-    
-    if (timestampLabels.length > 0) {
-      for (const label of timestampLabels) {
-        const timestamp = parseTimestampLabel(label);
-        if (timestamp) {
-          timestampVersions.push({
-            versionId,
-            label,
-            timestamp,
-            allLabels: labels
-          });
-        }
-      }
-    } else if (labels.length === 0) {
-      // Unlabeled version - safe to delete
-      toDeleteVersions.push(versionId);
-    }
-  }
-  
-  // Sort by timestamp (newest first)
-  timestampVersions.sort((a, b) => b.timestamp - a.timestamp);
-  
-  // Keep recent versions based on count
-  const versionsToKeep = timestampVersions.slice(0, keepCount);
-  const versionsToCleanup = timestampVersions.slice(keepCount);
-  
-  console.log(`   - Will keep ${versionsToKeep.length} most recent timestamp versions`);
-  console.log(`   - Will cleanup ${versionsToCleanup.length} older timestamp versions`);
-  
-  // Apply days filter only if not in strict mode
-  if (!strict && keepDays > 0) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - keepDays);
-    
-    // Filter out versions that are too recent to delete
-    const finalVersionsToCleanup = versionsToCleanup.filter(version => {
-      const shouldKeepByDays = version.timestamp > cutoffDate;
-      if (shouldKeepByDays) {
-        console.log(`   - Keeping ${version.label} (within ${keepDays} days, not in strict mode)`);
-        return false; // Don't cleanup this version
-      }
-      return true; // Cleanup this version
-    });
-    
-    console.log(`   - After days filter: ${finalVersionsToCleanup.length} versions to cleanup`);
-    
-    // Mark versions for cleanup
-    for (const version of finalVersionsToCleanup) {
-      toRemoveLabels.push({
-        versionId: version.versionId,
-        label: version.label
-      });
-      
-      // If removing this label leaves the version unlabeled, mark for deletion
-      const remainingLabels = version.allLabels.filter(l => 
-        l !== version.label && !AWS_REQUIRED_LABELS.includes(l)
-      );
-      
-      if (remainingLabels.length === 0) {
-        toDeleteVersions.push(version.versionId);
-      }
-    }
-  } else {
-    // Strict mode or no days filter - cleanup all versions beyond keepCount
-    for (const version of versionsToCleanup) {
-      // Remove timestamp label from this version
-      toRemoveLabels.push({
-        versionId: version.versionId,
-        label: version.label
-      });
-      
-      // If removing this label leaves the version unlabeled, mark for deletion
-      const remainingLabels = version.allLabels.filter(l => 
-        l !== version.label && !AWS_REQUIRED_LABELS.includes(l)
-      );
-      
-      if (remainingLabels.length === 0) {
-        toDeleteVersions.push(version.versionId);
-      }
-    }
-  }
-  
-  return {
-    toRemoveLabels,
-    toDeleteVersions,
-    versionsToKeep: versionsToKeep.length,
-    versionsToCleanup: versionsToCleanup.length
-  };
-}
-
-async function removeLabelFromVersion(secretName, versionId, label) {
+async function removeLabelFromVersion(secretName, versionId, label, changeMetadata) {
   try {
-    const command = new UpdateSecretVersionStageCommand({
-      SecretId: secretName,
-      VersionStage: label,
-      RemoveFromVersionId: versionId
-    });
-    
-    await secretsManagerClient.send(command);
-    console.log(`✅ Removed label "${label}" from version ${versionId.substring(0, 8)}...`);
+    await removeStagingLabel(secretName, versionId, label, changeMetadata);
+    return true;
   } catch (error) {
     console.error(`❌ Failed to remove label "${label}" from version ${versionId.substring(0, 8)}...: ${error.message}`);
+    return false;
   }
 }
 
 async function cleanupVersions(secretName, options = {}) {
+  const defaults = getCleanupDefaults();
   const {
-    keepCount = DEFAULT_KEEP_COUNT,
-    keepDays = DEFAULT_KEEP_DAYS,
+    keepCount = defaults.keepCount,
+    keepDays = defaults.keepDays,
     dryRun = false,
     force = false,
-    strict = false
+    strict = false,
+    nonInteractive = false
   } = options;
+  const retention = options.retention && { ...defaults.retention, ...options.retention };
   
   console.log(`\n🧹 Starting cleanup for secret: ${secretName}`);
-  console.log(`   Keep count: ${keepCount}`);
-  console.log(`   Keep days: ${keepDays}`);
-  console.log(`   Strict mode: ${strict ? 'Yes (ignore days filter)' : 'No'}`);
+  if (retention) {
+    console.log(`   Retention: last ${retention.last}, daily ${retention.daily}, weekly ${retention.weekly}, monthly ${retention.monthly}`);
+  } else {
+    console.log(`   Keep count: ${keepCount}`);
+    console.log(`   Keep days: ${keepDays}`);
+    console.log(`   Strict mode: ${strict ? 'Yes (ignore days filter)' : 'No'}`);
+  }
   console.log(`   Dry run: ${dryRun ? 'Yes' : 'No'}`);
   
   const versions = await getSecretVersions(secretName);
-  const cleanup = identifyVersionsToCleanup(versions, keepCount, keepDays, strict);
+  const cleanup = retention
+    ? identifyVersionsToCleanupByRetention(versions, retention)
+    : identifyVersionsToCleanup(versions, keepCount, keepDays, strict);
   
   console.log(`\n📋 Cleanup Plan:`);
   console.log(`   Labels to remove: ${cleanup.toRemoveLabels.length}`);
   console.log(`   Versions to delete: ${cleanup.toDeleteVersions.length}`);
   console.log(`   Versions to keep: ${cleanup.versionsToKeep}`);
   
+  if (cleanup.decisions) {
+    console.log(`\n🗓️  Retention decisions (${cleanup.labelBudget} free label slots):`);
+    for (const decision of cleanup.decisions) {
+      console.log(`   ${decision.keep ? '✅' : '🗑️ '} ${decision.label} (${decision.versionId.substring(0, 8)}...) ${decision.reason}`);
+    }
+  }
+  
   if (cleanup.toRemoveLabels.length === 0 && cleanup.toDeleteVersions.length === 0) {
     console.log('\n✅ No cleanup needed - all versions are within retention policy.');
-    return;
+    return { secretName, status: 'nothing-to-do', ...cleanup };
   }
   
   // Show what will be cleaned up
@@ -277,21 +227,40 @@ async function cleanupVersions(secretName, options = {}) {
     
     if (!confirmed) {
       console.log('❌ Cleanup cancelled by user.');
-      return;
+      return { secretName, status: 'cancelled', ...cleanup };
     }
   }
   
   if (dryRun) {
     console.log('\n🔍 DRY RUN - No actual changes made.');
-    return;
+    return { secretName, status: 'dry-run', ...cleanup };
+  }
+  
+  // Removed labels cannot be put back without a copy of the versions, so a
+  // backup is offered first (taken without asking with `backup`)
+  let backup = null;
+  if (cleanup.toRemoveLabels.length > 0) {
+    const takeBackup = options.backup || (!force && await confirm({
+      message: `Back up the version history of ${secretName} first?`,
+      default: true
+    }));
+    if (takeBackup) {
+      backup = await backupSecret(secretName, { nonInteractive: force });
+    }
   }
   
+  const environment = options.environment || getEnvironmentForSecret(secretName);
+  const changeMetadata = await confirmProductionChange(environment, { ...options, secretName, nonInteractive });
+  
   // Execute cleanup
   console.log('\n🔄 Executing cleanup...');
   
   // Remove labels
+  const failedLabels = [];
   for (const item of cleanup.toRemoveLabels) {
-    await removeLabelFromVersion(secretName, item.versionId, item.label);
+    if (!await removeLabelFromVersion(secretName, item.versionId, item.label, changeMetadata)) {
+      failedLabels.push(item);
+    }
   }
   
   // Note: AWS Secrets Manager doesn't support direct version deletion
@@ -300,37 +269,284 @@ async function cleanupVersions(secretName, options = {}) {
     console.log(`\n📝 Note: ${cleanup.toDeleteVersions.length} unlabeled versions will be automatically cleaned up by AWS.`);
   }
   
-  console.log('\n✅ Cleanup completed successfully!');
+  if (failedLabels.length > 0) {
+    console.log(`\n⚠️  Cleanup finished with ${failedLabels.length} label(s) not removed.`);
+  } else {
+    console.log('\n✅ Cleanup completed successfully!');
+  }
   
   // Show final state
   await listVersions(secretName);
+  
+  return { secretName, status: failedLabels.length > 0 ? 'partial' : 'completed', failedLabels, backup, changeTicket: changeMetadata.changeTicket, ...cleanup };
+}
+
+async function rollbackVersion(secretName, versionRef, options = {}) {
+  const { dryRun = false, force = false, nonInteractive = false } = options;
+  
+  if (!versionRef) {
+    throw new Error('A timestamp label or version ID to roll back to is required');
+  }
+  
+  console.log(`\n⏪ Preparing rollback of ${secretName} to: ${versionRef}`);
+  
+  const target = await resolveSecretVersion(secretName, versionRef);
+  if (target.labels.includes('AWSCURRENT')) {
+    console.log(`\n✅ Version ${target.versionId} is already AWSCURRENT - nothing to roll back.`);
+    return { secretName, status: 'nothing-to-do', versionId: target.versionId };
+  }
+  
+  const currentValues = await getCurrentSecretValues(secretName);
+  const targetValues = await getSecretVersionValues(secretName, target.versionId);
+  const keyChanges = compareSecretKeys(currentValues, targetValues);
+  
+  console.log(`\n📋 Rollback Plan:`);
+  console.log(`   Target version: ${target.versionId} (${target.labels.join(', ')})`);
+  console.log(`   Keys that would change: ${keyChanges.changed.length ? keyChanges.changed.join(', ') : 'none'}`);
+  console.log(`   Keys that would be restored: ${keyChanges.added.length ? keyChanges.added.join(', ') : 'none'}`);
+  console.log(`   Keys that would be removed: ${keyChanges.removed.length ? keyChanges.removed.join(', ') : 'none'}`);
+  
+  if (dryRun) {
+    console.log('\n🔍 DRY RUN - No actual changes made.');
+    return { secretName, status: 'dry-run', versionId: target.versionId, keyChanges };
+  }
+  
+  if (!force) {
+    const confirmed = await confirm({
+      message: `Make version ${target.versionId.substring(0, 8)}... AWSCURRENT?`,
+      default: false
+    });
+    
+    if (!confirmed) {
+      console.log('❌ Rollback cancelled by user.');
+      return { secretName, status: 'cancelled', versionId: target.versionId, keyChanges };
+    }
+  }
+  
+  const environment = options.environment || getEnvironmentForSecret(secretName);
+  const changeMetadata = await confirmProductionChange(environment, { ...options, secretName, nonInteractive });
+  const result = await rollbackSecretVersion(secretName, target.versionId, changeMetadata);
+  
+  console.log('\n✅ Rollback completed successfully!');
+  if (result.timestampLabel) {
+    console.log(`   Rolled-back-from version ${result.rolledBackFrom.substring(0, 8)}... labeled ${result.timestampLabel}`);
+  }
+  
+  // Show final state
+  await listVersions(secretName);
+  
+  return { secretName, status: 'completed', keyChanges, changeTicket: changeMetadata.changeTicket, ...result };
+}
+
+async function diffVersions(secretName, fromRef, toRef = 'AWSCURRENT', options = {}) {
+  const { decrypt = false } = options;
+  
+  if (!fromRef) {
+    throw new Error('A label or version ID to compare against is required');
+  }
+  
+  const from = await resolveSecretVersion(secretName, fromRef);
+  const to = await resolveSecretVersion(secretName, toRef);
+  const fromValues = await getSecretVersionValues(secretName, from.versionId);
+  const toValues = await getSecretVersionValues(secretName, to.versionId);
+  const diff = diffSecretValues(fromValues, toValues);
+  
+  console.log(`\n🔍 Diff for ${secretName}`);
+  console.log(`   From: ${from.versionId} (${from.labels.join(', ')})`);
+  console.log(`   To:   ${to.versionId} (${to.labels.join(', ')})`);
+  
+  if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+    console.log('\n✅ No key differences between these versions.');
+    return diff;
+  }
+  
+  for (const item of diff.added) {
+    console.log(`   + ${item.key.padEnd(32)} ${item.fingerprint}`);
+  }
+  for (const item of diff.removed) {
+    console.log(`   - ${item.key.padEnd(32)} ${item.fingerprint}`);
+  }
+  const environment = getEnvironmentForSecret(secretName);
+  const encryptedKeys = getEncryptedKeyNames(environment);
+  for (const item of diff.changed) {
+    console.log(`   ~ ${item.key.padEnd(32)} ${item.from} → ${item.to}`);
+    
+    if (decrypt && encryptedKeys.includes(item.key)) {
+      try {
+        const context = getEncryptionContext(environment, secretName, item.key);
+        const claimChanges = diffJwtClaims(
+          await decryptWithKMS(fromValues[item.key], { context }),
+          await decryptWithKMS(toValues[item.key], { context })
+        );
+        if (claimChanges === null) {
+          console.log('       (decrypted value is not a JWT)');
+        }
+        for (const change of claimChanges || []) {
+          console.log(`       ${change.field}: ${change.from} → ${change.to}`);
+        }
+      } catch (error) {
+        console.log(`       (not decrypted: ${error.message})`);
+      }
+    }
+  }
+  
+  console.log(`\n📊 ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged.length} unchanged`);
+  
+  return diff;
+}
+
+async function findSecretsOrFail(pattern, options) {
+  const secrets = await findSecrets(pattern, options);
+  if (secrets.length === 0) {
+    throw new Error(`No secrets match "${pattern}"`);
+  }
+  console.log(`\n🔎 ${secrets.length} secret(s) match "${pattern}":`);
+  for (const { secretName, environment } of secrets) {
+    console.log(`   - ${secretName} (${environment})`);
+  }
+  return secrets;
+}
+
+// Applies the retention policy to every matching secret. A failure on one
+// secret is recorded and the rest still run.
+async function cleanupMatchingSecrets(pattern, options = {}) {
+  const secrets = await findSecretsOrFail(pattern, options);
+  const results = [];
+  
+  for (const { secretName, environment } of secrets) {
+    useEnvironment(environment);
+    try {
+      const cleanup = await cleanupVersions(secretName, { ...options, environment });
+      const failed = cleanup.failedLabels ? cleanup.failedLabels.length : 0;
+      results.push({
+        secretName,
+        environment,
+        status: cleanup.status,
+        labelsToRemove: cleanup.toRemoveLabels.length,
+        labelsRemoved: ['completed', 'partial'].includes(cleanup.status) ? cleanup.toRemoveLabels.length - failed : 0,
+        failedLabels: failed
+      });
+    } catch (error) {
+      console.error(`❌ ${secretName}: ${error.message}`);
+      results.push({ secretName, environment, status: 'failed', error: error.message });
+    }
+  }
+  
+  const statusIcons = { completed: '✅', 'nothing-to-do': '✅', 'dry-run': '🔍', cancelled: '⏹️ ', partial: '⚠️ ', failed: '❌' };
+  console.log(`\n📋 Cleanup report for "${pattern}":`);
+  console.log('Secret'.padEnd(44) + ' | ' + 'Env'.padEnd(5) + ' | ' + 'Status'.padEnd(16) + ' | Labels removed');
+  console.log('-'.repeat(90));
+  for (const result of results) {
+    const removed = result.error ? result.error : `${result.labelsRemoved}/${result.labelsToRemove}`;
+    console.log(`${result.secretName.padEnd(44)} | ${result.environment.padEnd(5)} | ${`${statusIcons[result.status]} ${result.status}`.padEnd(16)} | ${removed}`);
+  }
+  
+  const failures = results.filter(result => ['failed', 'partial'].includes(result.status));
+  console.log(`\n📊 ${results.length} secret(s), ${failures.length} with failures`);
+  
+  return { pattern, ok: failures.length === 0, results };
+}
+
+async function countMatchingSecrets(pattern, options = {}) {
+  const secrets = await findSecretsOrFail(pattern, options);
+  const results = [];
+  
+  for (const { secretName, environment } of secrets) {
+    useEnvironment(environment);
+    try {
+      const versions = await getSecretVersions(secretName);
+      const totalLabels = Object.values(versions).reduce((total, labels) => total + labels.length, 0);
+      results.push({ secretName, environment, status: 'ok', totalLabels, availableSlots: MAX_STAGING_LABELS - totalLabels });
+    } catch (error) {
+      results.push({ secretName, environment, status: 'failed', error: error.message });
+    }
+  }
+  
+  console.log(`\n📊 Label count for "${pattern}":`);
+  console.log('Secret'.padEnd(44) + ' | ' + 'Env'.padEnd(5) + ' | ' + 'Labels'.padEnd(7) + ' | Free');
+  console.log('-'.repeat(72));
+  for (const result of results) {
+    if (result.error) {
+      console.log(`${result.secretName.padEnd(44)} | ${result.environment.padEnd(5)} | ❌ ${result.error}`);
+      continue;
+    }
+    const warning = result.totalLabels >= LABEL_WARNING_THRESHOLD ? '  ⚠️  approaching limit' : '';
+    console.log(`${result.secretName.padEnd(44)} | ${result.environment.padEnd(5)} | ${`${result.totalLabels}/${MAX_STAGING_LABELS}`.padEnd(7)} | ${result.availableSlots}${warning}`);
+  }
+  
+  const failures = results.filter(result => result.status === 'failed');
+  return { pattern, ok: failures.length === 0, results };
+}
+
+function verifyAudit(filePath) {
+  const result = verifyAuditLog(filePath);
+  
+  console.log(`\n🔗 Verifying audit log: ${result.file}`);
+  console.log(`   Records: ${result.records}`);
+  
+  if (!result.valid) {
+    console.error(`❌ Audit chain BROKEN at record ${result.brokenAt}: ${result.reason}`);
+    return result;
+  }
+  
+  console.log('✅ Audit chain intact');
+  return result;
 }
 
 function showUsage() {
+  const defaults = getCleanupDefaults();
   console.log(`
 🛠️  AWS Secrets Manager Version Cleanup Tool
 
 Usage:
   node cleanupSecretVersions.js <command> <secret-name> [options]
+  node cleanupSecretVersions.js cleanup|count <prefix-or-glob> [options]
+  node cleanupSecretVersions.js rollback <secret-name> <label-or-version-id> [options]
+  node cleanupSecretVersions.js diff <secret-name> <from-label-or-id> [to-label-or-id] [options]
+  node cleanupSecretVersions.js verify-audit [audit-log-file]
 
 Commands:
   list      List all versions and their labels
   count     Show label count and available slots
   cleanup   Clean up old versions and labels
+            (count and cleanup also take a prefix like "dev/" or a glob like
+            "*/web3-auth/*" and report on every matching secret)
+  rollback  Make a timestamp-labeled (or any labeled) version AWSCURRENT again
+  diff      Show added/removed/changed keys between two versions (to defaults to AWSCURRENT)
+  verify-audit  Check the hash chain of the audit log (default: ./secret-audit.log.jsonl)
 
 Options:
-  --keep N      Keep N most recent timestamp labels (default: ${DEFAULT_KEEP_COUNT})
-  --days N      Keep labels newer than N days (default: ${DEFAULT_KEEP_DAYS})
+  --keep N      Keep N most recent timestamp labels (default: ${defaults.keepCount})
+  --days N      Keep labels newer than N days (default: ${defaults.keepDays})
   --strict      Ignore days filter, strictly keep only N versions
+  --gfs         Grandfather-father-son retention instead of --days/--strict:
+                keep the newest --keep labels (default ${defaults.retention.last}), plus one per day,
+                week and month for the most recent --daily (${defaults.retention.daily}), --weekly (${defaults.retention.weekly})
+                and --monthly (${defaults.retention.monthly}) periods. Any of those flags implies --gfs
   --dry-run     Show what would be deleted without making changes
-  --force       Skip confirmation prompts
+  --force       Skip confirmation prompts (and the backup offer - see --backup)
+  --backup      (cleanup) Back up the version history before removing labels, without asking
+  --decrypt     (diff) KMS-decrypt changed values and show JWT header/claim changes
+  --env ENV     Environment whose AWS settings to use (default: the environment the secret belongs to)
+  --region R    AWS region (overrides env vars and config file)
+  --endpoint U  Custom Secrets Manager/KMS endpoint, e.g. LocalStack
+  --profile P   Named AWS credentials profile
+  --config F    Config file (default: ./secret-rotator.config.json)
+  --confirm-environment ENV, --change-ticket ID, --approval-token T
+                (cleanup, rollback) Production guard answers for protected environments
 
 Examples:
   node cleanupSecretVersions.js list dev/web3-auth/auth-service-api
   node cleanupSecretVersions.js cleanup dev/web3-auth/auth-service-api --keep 5
   node cleanupSecretVersions.js cleanup dev/web3-auth/auth-service-api --keep 5 --strict
   node cleanupSecretVersions.js cleanup dev/web3-auth/auth-service-api --dry-run
-  node cleanupSecretVersions.js cleanup dev/web3-auth/auth-service-api --force
+  node cleanupSecretVersions.js cleanup dev/web3-auth/auth-service-api --gfs --weekly 6 --dry-run
+  node cleanupSecretVersions.js cleanup dev/web3-auth/auth-service-api --force --backup
+  node cleanupSecretVersions.js count '*/web3-auth/*'
+  node cleanupSecretVersions.js cleanup 'dev/' --keep 5 --force
+  node cleanupSecretVersions.js rollback dev/web3-auth/auth-service-api 20251019T082412041Z-3fa9
+  node cleanupSecretVersions.js rollback dev/web3-auth/auth-service-api AWSPREVIOUS --dry-run
+  node cleanupSecretVersions.js diff dev/web3-auth/auth-service-api 20251019T082412041Z-3fa9 --decrypt
 `);
 }
 
@@ -345,6 +561,18 @@ async function main() {
   const command = args[0];
   const secretName = args[1];
   
+  if (command === 'verify-audit') {
+    try {
+      if (!verifyAudit(secretName).valid) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+  
   if (!secretName) {
     console.error('❌ Error: Secret name is required');
     showUsage();
@@ -352,22 +580,61 @@ async function main() {
   }
   
   // Parse options
-  const options = {};
+  const options = { nonInteractive: isNonInteractive() };
+  const positionals = [];
+  let explicitEnvironment;
   for (let i = 2; i < args.length; i++) {
     const arg = args[i];
-    if (arg === '--dry-run') {
+    if (['--region', '--endpoint', '--profile', '--config', '--confirm-environment', '--change-ticket', '--approval-token'].includes(arg)) {
+      i++; // Read directly from argv by config.js and productionGuard.js
+    } else if (arg === '--env' && i + 1 < args.length) {
+      explicitEnvironment = args[++i];
+    } else if (arg === '--dry-run') {
       options.dryRun = true;
     } else if (arg === '--force') {
       options.force = true;
+    } else if (arg === '--backup') {
+      options.backup = true;
+    } else if (arg === '--decrypt') {
+      options.decrypt = true;
     } else if (arg === '--strict') {
       options.strict = true;
     } else if (arg === '--keep' && i + 1 < args.length) {
       options.keepCount = parseInt(args[++i]);
     } else if (arg === '--days' && i + 1 < args.length) {
       options.keepDays = parseInt(args[++i]);
+    } else if (arg === '--gfs') {
+      options.retention = options.retention || {};
+    } else if (['--daily', '--weekly', '--monthly'].includes(arg) && i + 1 < args.length) {
+      options.retention = { ...options.retention, [arg.substring(2)]: parseInt(args[++i]) };
+    } else if (!arg.startsWith('--')) {
+      positionals.push(arg);
+    }
+  }
+  
+  // In GFS mode --keep is the number of most recent labels to keep
+  if (options.retention && options.keepCount !== undefined) {
+    options.retention.last = options.keepCount;
+  }
+  
+  if (isSecretPattern(secretName) && ['cleanup', 'count'].includes(command)) {
+    try {
+      const bulkOptions = { ...options, environment: explicitEnvironment };
+      const report = command === 'cleanup'
+        ? await cleanupMatchingSecrets(secretName, bulkOptions)
+        : await countMatchingSecrets(secretName, bulkOptions);
+      if (!report.ok) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
     }
+    return;
   }
   
+  useEnvironment(explicitEnvironment || getEnvironmentForSecret(secretName));
+  
   try {
     switch (command) {
       case 'list':
@@ -379,6 +646,12 @@ async function main() {
       case 'cleanup':
         await cleanupVersions(secretName, options);
         break;
+      case 'rollback':
+        await rollbackVersion(secretName, positionals[0], options);
+        break;
+      case 'diff':
+        await diffVersions(secretName, positionals[0], positionals[1], options);
+        break;
       default:
         console.error(`❌ Unknown command: ${command}`);
         showUsage();
@@ -389,5 +662,27 @@ async function main() {
   }
 }
 
+module.exports = {
+  DEFAULT_KEEP_COUNT,
+  DEFAULT_KEEP_DAYS,
+  parseTimestampLabel,
+  isSecretPattern,
+  findSecrets,
+  isTimestampLabel,
+  DEFAULT_RETENTION,
+  identifyVersionsToCleanup,
+  identifyVersionsToCleanupByRetention,
+  listVersions,
+  countLabels,
+  cleanupVersions,
+  cleanupMatchingSecrets,
+  countMatchingSecrets,
+  rollbackVersion,
+  diffVersions,
+  verifyAudit
+};
+
 // Run the script
-main(); 
\ No newline at end of file
+if (require.main === module) {
+  main();
+} 
\ No newline at end of file
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('./configSchema');
+
+require('dotenv').config({ quiet: true });
+
+const DEFAULT_CONFIG_FILE = 'secret-rotator.config.json';
+const DEFAULT_REGION = 'us-east-2';
+
+// Built-in project layout. "environments", "apps", "secretName", "kmsAlias"
+// and "keys" in the config file add to or override it.
+const DEFAULT_ENVIRONMENTS = {
+  dev: { label: 'Development' },
+  uat: { label: 'UAT' },
+  prd: { label: 'Production' }
+};
+const DEFAULT_APPS = {
+  main: { label: 'Main' },
+  flask: { label: 'Flask' }
+};
+const DEFAULT_SECRET_NAME = '{env}/web3-auth/auth-service-api';
+const DEFAULT_KMS_ALIAS = 'alias/mmcx/{env}/auth-service-api';
+const DEFAULT_KEYS = {
+  appleClientSecret: '{APP}_APPLE_CLIENT_SECRET',
+  googleWebClientId: '{APP}_GOOGLE_WEB_CLIENT_ID',
+  googleWebClientSecret: '{APP}_GOOGLE_WEB_CLIENT_SECRET',
+  googleWebRedirectUris: '{APP}_GOOGLE_WEB_REDIRECT_URIS',
+  googleIosClientId: '{APP}_GOOGLE_IOS_CLIENT_ID',
+  googleAndroidClientId: '{APP}_GOOGLE_ANDROID_CLIENT_ID'
+};
+// What each key of a secret holds (see secretSchema.js): "encrypted" keys are
+// KMS ciphertext, the rest plain text; "format" applies to the plaintext.
+// "schema" in the config file, then "environments.<env>.schema", add to or
+// override it.
+const DEFAULT_KEY_SCHEMA = {
+  appleClientSecret: { encrypted: true, format: 'jwt' },
+  googleWebClientId: { format: 'google-client-id' },
+  googleWebClientSecret: { encrypted: true },
+  googleWebRedirectUris: { format: 'url-list' },
+  googleIosClientId: { format: 'google-client-id' },
+  googleAndroidClientId: { format: 'google-client-id' }
+};
+// Each JWT key also has a <KEY>_DEV copy (see initiateJwtPriv.js)
+const JWT_KEY_SCHEMA = {
+  JWT_PRIV: { encrypted: true, required: true, format: 'private-key' },
+  JWT_PUB: { required: true, format: 'public-key' },
+  JWT_KID: { required: true, format: 'kid' },
+  JWT_ALG: { format: 'jwt-alg' },
+  JWT_PUB_PREVIOUS: { format: 'public-key' },
+  JWT_KID_PREVIOUS: { format: 'kid' },
+  JWT_ALG_PREVIOUS: { format: 'jwt-alg' },
+  JWT_PUB_PREVIOUS_RETIRE_AFTER: { format: 'timestamp' }
+};
+
+let loadedConfig = null;
+
+// Reads a `--name value` or `--name=value` flag from the command line
+function getFlagValue(name, argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}` && i + 1 < argv.length) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`--${name}=`)) {
+      return argv[i].substring(name.length + 3);
+    }
+  }
+  return undefined;
+}
+
+// True when a bare `--name` switch is on the command line
+function hasFlag(name, argv = process.argv.slice(2)) {
+  return argv.includes(`--${name}`);
+}
+
+// A value from `--flag`, falling back to an environment variable
+function getInputValue(flagName, envVarName, argv = process.argv.slice(2)) {
+  return getFlagValue(flagName, argv) || (envVarName && process.env[envVarName]) || undefined;
+}
+
+// --no-input / --non-interactive (or SECRET_ROTATOR_NO_INPUT=true): never
+// prompt, fail on the first missing value instead
+function isNonInteractive(argv = process.argv.slice(2)) {
+  return hasFlag('no-input', argv) || hasFlag('non-interactive', argv) || process.env.SECRET_ROTATOR_NO_INPUT === 'true';
+}
+
+function loadConfig() {
+  if (loadedConfig) {
+    return loadedConfig;
+  }
+
+  const explicitPath = getFlagValue('config') || process.env.SECRET_ROTATOR_CONFIG;
+  const configPath = path.resolve(explicitPath || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(configPath)) {
+    if (explicitPath) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    loadedConfig = {};
+    return loadedConfig;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read config file ${configPath}: ${error.message}`);
+  }
+  validateConfig(config, `config file ${configPath}`);
+  checkProjectLayout(config, configPath);
+  loadedConfig = config;
+  return loadedConfig;
+}
+
+// Declared entries are merged over the built-in ones in declaration order;
+// null drops a built-in entry
+function mergeEntries(defaults, declared = {}) {
+  const merged = { ...defaults };
+  for (const [id, entry] of Object.entries(declared)) {
+    if (entry === null) {
+      delete merged[id];
+    } else {
+      merged[id] = { ...merged[id], ...entry };
+    }
+  }
+  return Object.entries(merged).map(([id, entry]) => ({ ...entry, id, label: entry.label || id }));
+}
+
+// Checks that need the merged layout rather than the file on its own
+function checkProjectLayout(config, configPath) {
+  const environmentIds = mergeEntries(DEFAULT_ENVIRONMENTS, config.environments).map(env => env.id);
+  const errors = [];
+  if (environmentIds.length === 0) {
+    errors.push('environments must leave at least one environment');
+  }
+  if (mergeEntries(DEFAULT_APPS, config.apps).length === 0) {
+    errors.push('apps must leave at least one app');
+  }
+  const protectedEnvironments = (config.guardrails && config.guardrails.protectedEnvironments) || [];
+  for (const environment of protectedEnvironments.filter(env => !environmentIds.includes(env))) {
+    errors.push(`guardrails.protectedEnvironments: "${environment}" is not a declared environment`);
+  }
+  if (errors.length > 0) {
+    const error = new Error(`Invalid config file ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    error.name = 'ConfigError';
+    error.errors = errors;
+    throw error;
+  }
+}
+
+// [{ id, label, aws?, secretName?, kmsAlias? }] in declaration order
+function getEnvironments() {
+  return mergeEntries(DEFAULT_ENVIRONMENTS, loadConfig().environments);
+}
+
+function getEnvironmentIds() {
+  return getEnvironments().map(env => env.id);
+}
+
+// [{ id, label }] in declaration order
+function getApps() {
+  return mergeEntries(DEFAULT_APPS, loadConfig().apps);
+}
+
+function getAppIds() {
+  return getApps().map(app => app.id);
+}
+
+// Choices for an @inquirer/prompts select()
+function getEnvironmentChoices() {
+  return getEnvironments().map(env => ({ name: env.label, value: env.id }));
+}
+
+function getAppChoices() {
+  return getApps().map(app => ({ name: app.label, value: app.id }));
+}
+
+// "flask-api" -> "FLASK_API", for env var names and {ENV}/{APP}
+function toEnvVarCase(id) {
+  return id.toUpperCase().replace(/-/g, '_');
+}
+
+// Fills {env}, {ENV}, {app} and {APP} in a name template
+function fillTemplate(template, { environment, app } = {}) {
+  return template.replace(/\{(env|ENV|app|APP)\}/g, (placeholder, name) => {
+    const value = name.toLowerCase() === 'env' ? environment : app;
+    if (!value) {
+      throw new Error(`"${template}" needs ${name.toLowerCase() === 'env' ? 'an environment' : 'an app'}`);
+    }
+    return name === name.toUpperCase() ? toEnvVarCase(value) : value;
+  });
+}
+
+function getEnvironmentEntry(environment) {
+  return getEnvironments().find(env => env.id === environment) || {};
+}
+
+// "environments.<env>.secretName", then "secretName", then the built-in name
+function getSecretName(environment) {
+  const config = loadConfig();
+  return fillTemplate(getEnvironmentEntry(environment).secretName || config.secretName || DEFAULT_SECRET_NAME, { environment });
+}
+
+function getKmsAlias(environment) {
+  const config = loadConfig();
+  return fillTemplate(getEnvironmentEntry(environment).kmsAlias || config.kmsAlias || DEFAULT_KMS_ALIAS, { environment });
+}
+
+// The key an app's value is stored under, e.g. getKeyName('appleClientSecret', 'main')
+function getKeyName(kind, app, environment) {
+  const template = { ...DEFAULT_KEYS, ...loadConfig().keys }[kind];
+  if (!template) {
+    throw new Error(`Unknown key "${kind}"`);
+  }
+  return fillTemplate(template, { environment, app });
+}
+
+// A key name template with {app}/{APP} stands for one key per app
+function expandKeyTemplate(template, environment) {
+  if (!/\{(app|APP)\}/.test(template)) {
+    return [fillTemplate(template, { environment })];
+  }
+  return getAppIds().map(app => fillTemplate(template, { environment, app }));
+}
+
+// { keys: { <name>: { encrypted, required, format, pattern, copyOf } },
+// allowUnknownKeys } for an environment's secret. `copyOf` marks a key that
+// must hold the same value as another one (the JWT _DEV copies). An encrypted
+// copy is encrypted separately, under its own key name's context.
+function getSecretSchema(environment) {
+  const keys = {};
+  for (const [name, spec] of Object.entries(JWT_KEY_SCHEMA)) {
+    keys[name] = { ...spec };
+    keys[`${name}_DEV`] = { ...spec, copyOf: name };
+  }
+  for (const app of getAppIds()) {
+    for (const [kind, spec] of Object.entries(DEFAULT_KEY_SCHEMA)) {
+      keys[getKeyName(kind, app, environment)] = { ...spec };
+    }
+  }
+
+  // null drops a key; a key's copies follow the changes made to it
+  const declared = [loadConfig().schema, getEnvironmentEntry(environment).schema].filter(Boolean);
+  for (const schema of declared) {
+    for (const [template, spec] of Object.entries(schema.keys || {})) {
+      for (const name of expandKeyTemplate(template, environment)) {
+        const copies = Object.keys(keys).filter(key => keys[key].copyOf === name);
+        for (const key of [name, ...copies]) {
+          if (spec === null) {
+            delete keys[key];
+          } else {
+            keys[key] = { ...keys[key], ...spec };
+          }
+        }
+      }
+    }
+  }
+
+  // Secrets hold more than the keys this tool writes, so undeclared keys are
+  // only reported once a schema sets allowUnknownKeys: false
+  const allowUnknownKeys = declared.reduce((allow, schema) => schema.allowUnknownKeys ?? allow, true);
+  return { keys, allowUnknownKeys };
+}
+
+// Every key in an environment's secret that holds KMS ciphertext, copies
+// included
+function getEncryptedKeyNames(environment) {
+  return Object.entries(getSecretSchema(environment).keys)
+    .filter(([, spec]) => spec.encrypted)
+    .map(([name]) => name);
+}
+
+// The environment a secret belongs to: the one whose secret name it is, or
+// else its first path segment ("uat/web3-auth/..." -> "uat")
+function getEnvironmentForSecret(secretName) {
+  const owner = getEnvironmentIds().find(env => getSecretName(env) === secretName);
+  if (owner) {
+    return owner;
+  }
+  return secretName.includes('/') ? secretName.split('/')[0] : undefined;
+}
+
+// Resolves region, endpoint and profile for an environment. The most specific
+// source wins:
+//   1. --region / --endpoint / --profile flags
+//   2. <ENV>_AWS_REGION / <ENV>_AWS_ENDPOINT_URL / <ENV>_AWS_PROFILE
+//   3. "environments.<env>.aws" in the config file
+//   4. AWS_REGION / AWS_ENDPOINT_URL / AWS_PROFILE
+//   5. "aws" in the config file
+function resolveAwsSettings(environment) {
+  const config = loadConfig();
+  const envPrefix = environment ? `${toEnvVarCase(environment)}_` : null;
+  const environmentConfig = (environment && config.environments && config.environments[environment] && config.environments[environment].aws) || {};
+  const globalConfig = config.aws || {};
+
+  function pick(flagName, envVarName, configKey) {
+    return getFlagValue(flagName)
+      || (envPrefix && process.env[`${envPrefix}${envVarName}`])
+      || environmentConfig[configKey]
+      || process.env[envVarName]
+      || globalConfig[configKey]
+      || undefined;
+  }
+
+  return {
+    region: pick('region', 'AWS_REGION', 'region') || DEFAULT_REGION,
+    endpoint: pick('endpoint', 'AWS_ENDPOINT_URL', 'endpoint'),
+    profile: pick('profile', 'AWS_PROFILE', 'profile')
+  };
+}
+
+// Returns `value` when one was supplied, otherwise the answer from `ask()`.
+// In non-interactive mode nobody can answer, so a missing value is an error.
+async function resolveInput(value, { nonInteractive = false, missing, ask }) {
+  if (value !== undefined && value !== null && value !== '') {
+    return value;
+  }
+  if (nonInteractive) {
+    throw new Error(missing);
+  }
+  return ask();
+}
+
+// Values from env vars and manifests skip the CLI's own validation
+function assertChoice(name, value, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`${name} must be one of ${choices.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+module.exports = {
+  getFlagValue,
+  hasFlag,
+  getInputValue,
+  isNonInteractive,
+  resolveInput,
+  assertChoice,
+  loadConfig,
+  resolveAwsSettings,
+  getEnvironments,
+  getEnvironmentIds,
+  getApps,
+  getAppIds,
+  getEnvironmentChoices,
+  getAppChoices,
+  toEnvVarCase,
+  fillTemplate,
+  getSecretName,
+  getKmsAlias,
+  getKeyName,
+  getSecretSchema,
+  getEncryptedKeyNames,
+  getEnvironmentForSecret
+};
@@ -0,0 +1,235 @@
+// Shape of secret-rotator.config.json. The file is checked when it is loaded,
+// so a typo fails straight away instead of halfway through a rotation.
+
+// Environment and app IDs become secret names, KMS aliases and env var
+// prefixes, so they are kept to lowercase letters, digits and dashes
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// {env}/{app} are the IDs as declared, {ENV}/{APP} upper-cased with dashes
+// turned into underscores
+const ENVIRONMENT_PLACEHOLDERS = ['env', 'ENV'];
+const APP_PLACEHOLDERS = ['env', 'ENV', 'app', 'APP'];
+
+// How KMS-encrypted values are written - see encryptWithKMS
+const ENCRYPTION_MODES = ['auto', 'direct', 'envelope'];
+
+// Value formats a secret schema can require - see secretSchema.js
+const SECRET_VALUE_FORMATS = ['jwt', 'private-key', 'public-key', 'kid', 'jwt-alg', 'timestamp', 'google-client-id', 'url-list'];
+
+const stringSchema = { type: 'string' };
+const countSchema = { type: 'integer', minimum: 0 };
+const environmentTemplate = { type: 'template', placeholders: ENVIRONMENT_PLACEHOLDERS };
+const appTemplate = { type: 'template', placeholders: APP_PLACEHOLDERS };
+
+const awsSchema = {
+  type: 'object',
+  properties: { region: stringSchema, endpoint: stringSchema, profile: stringSchema }
+};
+
+const retentionSchema = {
+  type: 'object',
+  properties: { last: countSchema, daily: countSchema, weekly: countSchema, monthly: countSchema }
+};
+
+// Key names are templates too, e.g. "{APP}_SENTRY_DSN" for one key per app
+const secretSchemaSchema = {
+  type: 'object',
+  properties: {
+    keys: {
+      type: 'map',
+      keys: appTemplate,
+      values: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          encrypted: { type: 'boolean' },
+          required: { type: 'boolean' },
+          format: { type: 'enum', values: SECRET_VALUE_FORMATS },
+          pattern: { type: 'regexp' }
+        }
+      }
+    },
+    allowUnknownKeys: { type: 'boolean' }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    aws: awsSchema,
+    // null removes a built-in environment or app
+    environments: {
+      type: 'map',
+      values: {
+        type: 'object',
+        nullable: true,
+        properties: { label: stringSchema, aws: awsSchema, secretName: environmentTemplate, kmsAlias: environmentTemplate, schema: secretSchemaSchema }
+      }
+    },
+    apps: {
+      type: 'map',
+      values: { type: 'object', nullable: true, properties: { label: stringSchema } }
+    },
+    secretName: environmentTemplate,
+    kmsAlias: environmentTemplate,
+    keys: {
+      type: 'object',
+      properties: {
+        appleClientSecret: appTemplate,
+        googleWebClientId: appTemplate,
+        googleWebClientSecret: appTemplate,
+        googleWebRedirectUris: appTemplate,
+        googleIosClientId: appTemplate,
+        googleAndroidClientId: appTemplate
+      }
+    },
+    schema: secretSchemaSchema,
+    cleanup: {
+      type: 'object',
+      properties: { keep: countSchema, days: countSchema, retention: retentionSchema }
+    },
+    guardrails: {
+      type: 'object',
+      properties: {
+        protectedEnvironments: { type: 'array', items: stringSchema },
+        ticketPattern: { type: 'regexp' },
+        requireApproval: { type: 'boolean' }
+      }
+    },
+    audit: {
+      type: 'object',
+      properties: { file: stringSchema, httpEndpoint: stringSchema }
+    },
+    labelBudget: {
+      type: 'object',
+      properties: { autoPrune: { type: 'boolean' }, retention: retentionSchema }
+    },
+    backup: {
+      type: 'object',
+      properties: { directory: stringSchema }
+    },
+    encryption: {
+      type: 'object',
+      properties: { mode: { type: 'enum', values: ENCRYPTION_MODES } }
+    }
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Appends one message per problem to `errors` rather than stopping at the
+// first, so a broken file can be fixed in one go
+function validateValue(value, schema, path, errors) {
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path === 'config' ? key : `${path}.${key}`;
+        if (!schema.properties[key]) {
+          errors.push(`${childPath} is not a known setting`);
+        } else {
+          validateValue(child, schema.properties[key], childPath, errors);
+        }
+      }
+      return;
+    case 'map':
+      if (!isPlainObject(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (schema.keys) {
+          validateValue(key, schema.keys, `${path}: "${key}"`, errors);
+        } else if (!ID_PATTERN.test(key)) {
+          errors.push(`${path}: "${key}" must start with a lowercase letter and contain only lowercase letters, digits and dashes`);
+        }
+        validateValue(child, schema.values, `${path}.${key}`, errors);
+      }
+      return;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list`);
+        return;
+      }
+      value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+      return;
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a non-empty string`);
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false`);
+      }
+      return;
+    case 'integer':
+      if (!Number.isInteger(value) || value < schema.minimum) {
+        errors.push(`${path} must be a whole number of at least ${schema.minimum}`);
+      }
+      return;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push(`${path} must be one of ${schema.values.join(', ')}`);
+      }
+      return;
+    case 'regexp':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a regular expression string`);
+        return;
+      }
+      try {
+        new RegExp(value);
+      } catch (error) {
+        errors.push(`${path} is not a valid regular expression: ${error.message}`);
+      }
+      return;
+    case 'template': {
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a non-empty string`);
+        return;
+      }
+      const unknown = [...value.matchAll(/\{([^}]*)\}/g)]
+        .map(match => match[1])
+        .filter(name => !schema.placeholders.includes(name));
+      if (unknown.length > 0) {
+        const allowed = schema.placeholders.map(name => `{${name}}`).join(', ');
+        errors.push(`${path} uses unknown placeholder(s) ${unknown.map(name => `{${name}}`).join(', ')} - use ${allowed}`);
+      }
+      return;
+    }
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at ${path}`);
+  }
+}
+
+// Throws a ConfigError listing every problem; `error.errors` has them one per
+// entry
+function validateConfig(config, source = 'config file') {
+  const errors = [];
+  validateValue(config, CONFIG_SCHEMA, 'config', errors);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+    error.name = 'ConfigError';
+    error.errors = errors;
+    throw error;
+  }
+  return config;
+}
+
+module.exports = {
+  ID_PATTERN,
+  ENCRYPTION_MODES,
+  SECRET_VALUE_FORMATS,
+  CONFIG_SCHEMA,
+  validateConfig
+};
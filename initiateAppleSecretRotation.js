@@ -1,14 +1,101 @@
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
 const jwt = require('jsonwebtoken');
 const { input, select, confirm } = require('@inquirer/prompts');
-const { updateSecretValue, encryptWithKMS, listSecretVersions } = require('./secretManager');
+const { updateSecretValues, encryptWithKMS, decryptWithKMS, getEncryptionContext, listSecretVersions, getCurrentSecretValues, verifySecretUpdate } = require('./secretManager');
+const { useEnvironment } = require('./secretBackend');
+const {
+  getEnvironmentIds,
+  getAppIds,
+  getEnvironmentChoices,
+  getAppChoices,
+  getSecretName,
+  getKmsAlias,
+  getKeyName,
+  toEnvVarCase,
+  getFlagValue,
+  getInputValue,
+  isNonInteractive,
+  resolveInput,
+  assertChoice
+} = require('./config');
+const { decodeJwt } = require('./secretDiff');
+const { confirmProductionChange } = require('./productionGuard');
 
+// check-expiry follows the usual monitoring plugin convention
+const EXPIRY_EXIT_CODES = { ok: 0, warning: 1, critical: 2, unknown: 3 };
+const DEFAULT_WARN_DAYS = 30;
+const DEFAULT_CRITICAL_DAYS = 14;
 
-async function promptForInputs() {
+// Apple rejects client secrets that expire more than 15777000 seconds (six
+// months) after they were issued
+const MAX_EXPIRY_SECONDS = 15777000;
+const DEFAULT_EXPIRY_DAYS = 180;
+// Team IDs and Key IDs are 10 upper-case letters and digits
+const APPLE_ID_PATTERN = /^[A-Z0-9]{10}$/;
+// Keys downloaded from the developer portal are named AuthKey_<KEYID>.p8
+const KEY_FILE_PATTERN = /^AuthKey_([A-Z0-9]{10})\.p8$/;
+
+// Parses a .p8 and makes sure it is the P-256 EC private key Apple issues.
+// Returns the Key ID from an AuthKey_<KEYID>.p8 file name, if it has one.
+function inspectAppleKey(keyPath) {
+  if (!fs.existsSync(keyPath)) {
+    throw new Error(`Key file does not exist: ${keyPath}`);
+  }
+  
+  let key;
+  try {
+    key = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${keyPath} is not a PEM private key - expected the .p8 downloaded from the Apple developer portal (${error.message})`);
+  }
+  if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    const found = key.asymmetricKeyType === 'ec' ? `an EC key on ${key.asymmetricKeyDetails.namedCurve}` : `an ${key.asymmetricKeyType.toUpperCase()} key`;
+    throw new Error(`${keyPath} is ${found} - Apple signing keys are P-256 EC keys`);
+  }
+  
+  const match = path.basename(keyPath).match(KEY_FILE_PATTERN);
+  return { keyIdFromFileName: match ? match[1] : null };
+}
+
+function assertAppleId(name, value) {
+  if (!APPLE_ID_PATTERN.test(value)) {
+    throw new Error(`${name} "${value}" must be 10 upper-case letters and digits`);
+  }
+  return value;
+}
+
+// `expiryDays` (or --expiry-days / APPLE_CLIENT_SECRET_EXPIRY_DAYS, default
+// 180) in seconds, capped at Apple's maximum
+function resolveExpirySeconds(expiryDays) {
+  const raw = expiryDays ?? getInputValue('expiry-days', 'APPLE_CLIENT_SECRET_EXPIRY_DAYS') ?? DEFAULT_EXPIRY_DAYS;
+  const days = Number(raw);
+  if (!(days > 0)) {
+    throw new Error(`Expiry must be a positive number of days, got "${raw}"`);
+  }
+  const seconds = Math.floor(days * 24 * 60 * 60);
+  if (seconds > MAX_EXPIRY_SECONDS) {
+    console.log(`⚠️  Expiry of ${days} days is more than Apple allows - capping at ${MAX_EXPIRY_SECONDS} seconds (about ${Math.floor(MAX_EXPIRY_SECONDS / 86400)} days)`);
+    return MAX_EXPIRY_SECONDS;
+  }
+  return seconds;
+}
+
+
+// Each value comes from `options` (environment, app, config.*), then a flag
+// (--env, --app, --client-id, --team-id, --key-path, --key-id), then an
+// environment variable (SECRET_ROTATOR_ENV, SECRET_ROTATOR_APP,
+// <APP>_APPLE_CLIENT_ID, _TEAM_ID, _KEY_PATH, _KEY_ID). Only what is still
+// missing is prompted for. The Key ID defaults to the one in an
+// AuthKey_<KEYID>.p8 file name.
+async function promptForInputs(options = {}) {
+  const { nonInteractive = isNonInteractive() } = options;
+  const preset = options.config || {};
   console.log('🍎 Apple Client Secret Rotation Tool\n');
   
   // confirm with user if aws cli is installed and configured
-  const awsCliInstalled = await confirm({
+  const awsCliInstalled = nonInteractive || await confirm({
     message: 'Is the AWS CLI installed and configured?',
     default: true
   });
@@ -18,47 +105,77 @@ async function promptForInputs() {
     return;
   }
 
-  const environment = await select({
-    message: 'Select the environment:',
-    choices: [
-      { name: 'Development', value: 'dev' },
-      { name: 'UAT', value: 'uat' },
-      { name: 'Production', value: 'prd' },
-    ]
+  const environment = await resolveInput(options.environment || getInputValue('env', 'SECRET_ROTATOR_ENV'), {
+    nonInteractive,
+    missing: '--env is required',
+    ask: () => select({
+      message: 'Select the environment:',
+      choices: getEnvironmentChoices()
+    })
   });
   
-  const app = await select({
-    message: 'Select the app:',
-    choices: [
-      { name: 'Main', value: 'main' },
-      { name: 'Flask', value: 'flask' }
-    ]
+  assertChoice('Environment', environment, getEnvironmentIds());
+  
+  const app = await resolveInput(options.app || getInputValue('app', 'SECRET_ROTATOR_APP'), {
+    nonInteractive,
+    missing: '--app is required',
+    ask: () => select({
+      message: 'Select the app:',
+      choices: getAppChoices()
+    })
   });
   
+  assertChoice('App', app, getAppIds());
+  const envPrefix = `${toEnvVarCase(app)}_APPLE`;
+  
   // Now ask for app-specific values
-  const clientId = (await input({
-    message: `Enter ${app.toUpperCase()} Apple Client ID:`,
-    validate: (input) => input.trim() !== '' || 'Client ID cannot be empty'
+  const clientId = (await resolveInput(preset.clientId || getInputValue('client-id', `${envPrefix}_CLIENT_ID`), {
+    nonInteractive,
+    missing: `${app.toUpperCase()} Apple Client ID is required`,
+    ask: () => input({
+      message: `Enter ${app.toUpperCase()} Apple Client ID:`,
+      validate: (input) => input.trim() !== '' || 'Client ID cannot be empty'
+    })
   })).trim();
   
-  const teamId = (await input({
-    message: `Enter ${app.toUpperCase()} Apple Team ID:`,
-    validate: (input) => input.trim() !== '' || 'Team ID cannot be empty'
-  })).trim();
+  const teamId = assertAppleId('Team ID', (await resolveInput(preset.teamId || getInputValue('team-id', `${envPrefix}_TEAM_ID`), {
+    nonInteractive,
+    missing: `${app.toUpperCase()} Apple Team ID is required`,
+    ask: () => input({
+      message: `Enter ${app.toUpperCase()} Apple Team ID:`,
+      validate: (input) => APPLE_ID_PATTERN.test(input.trim()) || 'Team ID must be 10 upper-case letters and digits'
+    })
+  })).trim());
   
-  const keyPath = (await input({
-    message: `Enter ${app.toUpperCase()} Apple Key Path:`,
-    validate: (input) => {
-      if (input.trim() === '') return 'Key path cannot be empty';
-      if (!fs.existsSync(input.trim())) return 'Key file does not exist';
-      return true;
-    }
+  const keyPath = (await resolveInput(preset.keyPath || getInputValue('key-path', `${envPrefix}_KEY_PATH`), {
+    nonInteractive,
+    missing: `${app.toUpperCase()} Apple Key Path is required`,
+    ask: () => input({
+      message: `Enter ${app.toUpperCase()} Apple Key Path:`,
+      validate: (input) => {
+        if (input.trim() === '') return 'Key path cannot be empty';
+        try {
+          inspectAppleKey(input.trim());
+        } catch (error) {
+          return error.message;
+        }
+        return true;
+      }
+    })
   })).trim();
+  const { keyIdFromFileName } = inspectAppleKey(keyPath);
   
-  const keyId = (await input({
-    message: `Enter ${app.toUpperCase()} Apple Key ID:`,
-    validate: (input) => input.trim() !== '' || 'Key ID cannot be empty'
-  })).trim();
+  const keyId = assertAppleId('Key ID', (await resolveInput(preset.keyId || getInputValue('key-id', `${envPrefix}_KEY_ID`) || keyIdFromFileName, {
+    nonInteractive,
+    missing: `${app.toUpperCase()} Apple Key ID is required`,
+    ask: () => input({
+      message: `Enter ${app.toUpperCase()} Apple Key ID:`,
+      validate: (input) => APPLE_ID_PATTERN.test(input.trim()) || 'Key ID must be 10 upper-case letters and digits'
+    })
+  })).trim());
+  if (keyIdFromFileName && !preset.keyId && !getInputValue('key-id', `${envPrefix}_KEY_ID`)) {
+    console.log(`🔑 Key ID ${keyId} taken from the key file name`);
+  }
   
   return {
     environment,
@@ -67,22 +184,37 @@ async function promptForInputs() {
       clientId,
       teamId,
       keyPath,
-      keyId
+      keyId,
+      expiryDays: preset.expiryDays
     }
   };
 }
 
-async function generateAppleClientSecret(environment, app, config) {  
+async function generateAppleClientSecret(environment, app, config, options = {}) {
+  const { skipConfirm = false } = options;
+
+  // Checked here as well as at the prompt, because check-expiry rotations
+  // build `config` from the expiring token
+  const { keyIdFromFileName } = inspectAppleKey(config.keyPath);
+  assertAppleId('Team ID', config.teamId);
+  assertAppleId('Key ID', config.keyId);
+  if (keyIdFromFileName && keyIdFromFileName !== config.keyId) {
+    console.log(`⚠️  Key ID ${config.keyId} does not match the key file name ${path.basename(config.keyPath)} (${keyIdFromFileName}) - Apple will reject the secret if the key and ID do not belong together`);
+  }
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + resolveExpirySeconds(config.expiryDays);
+
   console.log(`\n📋 Configuration Summary:`);
   console.log(`Environment: ${environment}`);
   console.log(`App: ${app}`);
   console.log(`Client ID: ${config.clientId}`);
   console.log(`Team ID: ${config.teamId}`);
   console.log(`Key Path: ${config.keyPath}`);
-  console.log(`Key ID: ${config.keyId}\n`);
+  console.log(`Key ID: ${config.keyId}`);
+  console.log(`Expires: ${new Date(expiresAt * 1000).toISOString()} (exp ${expiresAt}, ${Math.floor((expiresAt - issuedAt) / 86400)} days)\n`);
   
   // Confirm before proceeding
-  const confirmProceed = await confirm({
+  const confirmProceed = skipConfirm || await confirm({
     message: 'Do you want to proceed with generating the Apple client secret?',
     default: true
   });
@@ -99,8 +231,8 @@ async function generateAppleClientSecret(environment, app, config) {
     iss: config.teamId,
     aud: 'https://appleid.apple.com',
     sub: config.clientId,
-    exp: Math.floor(Date.now() / 1000) + 3600 * 24 * 180, // 180 days
-    iat: Math.floor(Date.now() / 1000),
+    exp: expiresAt,
+    iat: issuedAt,
   };
   
   const token = jwt.sign(appleSecretClaims, signingKey, {
@@ -112,15 +244,13 @@ async function generateAppleClientSecret(environment, app, config) {
   });
   console.log(`✅ Generated ${app.toUpperCase()} token successfully`);
 
-  // Encrypt token with KMS
-  const kmsAlias = `alias/mmcx/${environment}/auth-service-api`;
+  // Encrypt token with KMS, bound to the key it is stored under
+  const secretName = getSecretName(environment);
+  const secretKey = getKeyName('appleClientSecret', app, environment);
+  const kmsAlias = getKmsAlias(environment);
   console.log(`🔒 Encrypting token with KMS alias: ${kmsAlias}`);
-  const encryptedToken = await encryptWithKMS(token, kmsAlias);
+  const encryptedToken = await encryptWithKMS(token, kmsAlias, { context: getEncryptionContext(environment, secretName, secretKey) });
   console.log('✅ Token encrypted successfully');
-
-  // Update secret in Secrets Manager
-  const secretName = `${environment}/web3-auth/auth-service-api`;
-  const secretKey = `${app.toUpperCase()}_APPLE_CLIENT_SECRET`;
     
   return {
     environment,
@@ -128,32 +258,304 @@ async function generateAppleClientSecret(environment, app, config) {
     encryptedToken,
     secretName: secretName,
     secretKey: secretKey,
-    kmsAlias: kmsAlias
+    kmsAlias: kmsAlias,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
   };
 }
 
-async function main() {
-  const { environment, app, config } = await promptForInputs();
-  const { encryptedToken, secretName, secretKey } = await generateAppleClientSecret(environment, app, config);
-  await updateSecretValue(secretName, secretKey, encryptedToken);
+// Checks a stored (encrypted) client secret against the .p8 it was signed
+// with: the signature must verify with the derived public key and the
+// kid/iss/sub/aud must match what was requested
+async function verifyAppleClientSecret(encryptedToken, config, context) {
+  if (!encryptedToken) {
+    throw new Error('Client secret key is missing from the stored secret');
+  }
+  const token = await decryptWithKMS(encryptedToken, { context });
+  const publicKey = crypto.createPublicKey(fs.readFileSync(config.keyPath, 'utf8'));
+  
+  const { header } = jwt.verify(token, publicKey, {
+    algorithms: ['ES256'],
+    audience: 'https://appleid.apple.com',
+    issuer: config.teamId,
+    subject: config.clientId,
+    complete: true
+  });
+  if (header.kid !== config.keyId) {
+    throw new Error(`Token kid is ${header.kid}, expected ${config.keyId}`);
+  }
+}
+
+async function rotateAppleClientSecret(environment, app, config, options = {}) {
+  useEnvironment(environment);
+  const result = await generateAppleClientSecret(environment, app, config, options);
+  if (!result) {
+    return;
+  }
+  const changeMetadata = await storeAppleClientSecrets(environment, [{ result, config }], options);
+  result.changeTicket = changeMetadata.changeTicket;
+  return result;
+}
+
+// Writes client secrets from generateAppleClientSecret (each next to the
+// config it was signed with) to their environment's secret as one version,
+// behind a single production-guard check, then verifies every one of them
+async function storeAppleClientSecrets(environment, generated, options = {}) {
+  const { secretName } = generated[0].result;
+  const changeMetadata = await confirmProductionChange(environment, { ...options, secretName });
+  const changes = Object.fromEntries(generated.map(({ result }) => [result.secretKey, result.encryptedToken]));
+  const labelHint = `apple-${generated.map(({ result }) => result.app).join('-')}`;
+  const response = await updateSecretValues(secretName, changes, { ...changeMetadata, labelHint });
+  await verifySecretUpdate(
+    secretName,
+    response.VersionId,
+    async values => {
+      for (const { result, config } of generated) {
+        await verifyAppleClientSecret(values[result.secretKey], config, getEncryptionContext(environment, secretName, result.secretKey));
+      }
+    },
+    { rollback: options.skipConfirm || options.nonInteractive ? true : 'prompt', previousVersionId: response.PreviousVersionId }
+  );
   await listSecretVersions(secretName);
+  return changeMetadata;
 }
 
-// Run the function
-main()
-  .then(result => {
-    if (result) {
-      console.log('\n🎉 Process completed successfully!');
-      console.log('📋 Summary:', {
-        environment: result.environment,
-        app: result.app,
-        secretName: result.secretName,
-        secretKey: result.secretKey,
-        kmsAlias: result.kmsAlias
-      });
+async function main(options = {}) {
+  const { nonInteractive = isNonInteractive() } = options;
+  const inputs = await promptForInputs({ ...options, nonInteractive });
+  if (!inputs) {
+    return;
+  }
+  const { environment, app, config } = inputs;
+  return rotateAppleClientSecret(environment, app, config, { ...options, skipConfirm: nonInteractive, nonInteractive });
+}
+
+function classifyExpiry(daysRemaining, warnDays, criticalDays) {
+  if (daysRemaining <= criticalDays) {
+    return 'critical';
+  }
+  if (daysRemaining <= warnDays) {
+    return 'warning';
+  }
+  return 'ok';
+}
+
+// Decrypts and decodes one app's stored client secret. Never returns the token.
+async function readAppleSecretExpiry(secretValues, app, environment, secretName) {
+  const secretKey = getKeyName('appleClientSecret', app, environment);
+  if (!secretValues[secretKey]) {
+    return { secretKey, error: 'key not found in secret' };
+  }
+  
+  const decoded = decodeJwt(await decryptWithKMS(secretValues[secretKey], { context: getEncryptionContext(environment, secretName, secretKey) }));
+  if (!decoded || typeof decoded.payload.exp !== 'number') {
+    return { secretKey, error: 'decrypted value is not a JWT with an exp claim' };
+  }
+  
+  return {
+    secretKey,
+    kid: decoded.header.kid,
+    iss: decoded.payload.iss,
+    sub: decoded.payload.sub,
+    exp: decoded.payload.exp,
+    daysRemaining: (decoded.payload.exp * 1000 - Date.now()) / (1000 * 60 * 60 * 24)
+  };
+}
+
+// Reports days remaining on every Apple client secret and, when enabled,
+// rotates any that fall below `rotateBelowDays` without prompting. The key,
+// team and client IDs for the new token are taken from the expiring one; only
+// the .p8 path has to be supplied per app. The expiring apps of an environment
+// are written together, so one `guard` approval covers all of them.
+async function checkAppleSecretExpiry(options = {}) {
+  const {
+    environments = getEnvironmentIds(),
+    apps = getAppIds(),
+    warnDays = DEFAULT_WARN_DAYS,
+    criticalDays = DEFAULT_CRITICAL_DAYS,
+    rotateBelowDays,
+    expiryDays,
+    keyPaths = {},
+    guard = {}
+  } = options;
+  
+  console.log('🍎 Apple Client Secret Expiry Check\n');
+  console.log(`Warning below: ${warnDays} days, critical below: ${criticalDays} days`);
+  if (rotateBelowDays !== undefined) {
+    console.log(`Auto-rotate below: ${rotateBelowDays} days`);
+  }
+  
+  const results = [];
+  
+  for (const environment of environments) {
+    useEnvironment(environment);
+    const secretName = getSecretName(environment);
+    
+    let secretValues;
+    try {
+      secretValues = await getCurrentSecretValues(secretName);
+    } catch (error) {
+      for (const app of apps) {
+        results.push({ environment, app, status: 'unknown', error: error.message });
+      }
+      continue;
     }
-  })
-  .catch(error => {
-    console.error('❌ Error:', error.message);
-    process.exit(1);
-  });
+    
+    const generated = [];
+    for (const app of apps) {
+      let expiry;
+      try {
+        expiry = await readAppleSecretExpiry(secretValues, app, environment, secretName);
+      } catch (error) {
+        expiry = { error: error.message };
+      }
+      
+      if (expiry.error) {
+        results.push({ environment, app, status: 'unknown', error: expiry.error });
+        continue;
+      }
+      
+      const result = { environment, app, ...expiry, status: classifyExpiry(expiry.daysRemaining, warnDays, criticalDays) };
+      results.push(result);
+      
+      if (rotateBelowDays !== undefined && expiry.daysRemaining <= rotateBelowDays) {
+        if (!keyPaths[app]) {
+          result.rotation = `skipped - no key path for ${app} (--${app}-key-path or ${toEnvVarCase(app)}_APPLE_KEY_PATH)`;
+          continue;
+        }
+        console.log(`\n♻️  ${environment}/${app} is below ${rotateBelowDays} days - generating a new secret...`);
+        const config = {
+          clientId: expiry.sub,
+          teamId: expiry.iss,
+          keyPath: keyPaths[app],
+          keyId: expiry.kid,
+          expiryDays
+        };
+        try {
+          generated.push({ result: await generateAppleClientSecret(environment, app, config, { skipConfirm: true }), config, expiryResult: result });
+        } catch (error) {
+          result.rotation = `failed - ${error.message}`;
+        }
+      }
+    }
+    
+    if (generated.length > 0) {
+      console.log(`\n♻️  Rotating ${generated.map(({ result }) => result.app).join(', ')} in ${environment}...`);
+      try {
+        await storeAppleClientSecrets(environment, generated, { ...guard, skipConfirm: true, nonInteractive: true });
+        const storedValues = await getCurrentSecretValues(secretName);
+        for (const { result, expiryResult } of generated) {
+          Object.assign(expiryResult, await readAppleSecretExpiry(storedValues, result.app, environment, secretName));
+          expiryResult.status = classifyExpiry(expiryResult.daysRemaining, warnDays, criticalDays);
+          expiryResult.rotation = 'rotated';
+        }
+      } catch (error) {
+        for (const { expiryResult } of generated) {
+          expiryResult.rotation = `failed - ${error.message}`;
+        }
+      }
+    }
+  }
+  
+  const statusIcons = { ok: '🟢 OK', warning: '🟡 WARNING', critical: '🔴 CRITICAL', unknown: '⚪ UNKNOWN' };
+  console.log('\n' + 'Env'.padEnd(5) + ' | ' + 'App'.padEnd(6) + ' | ' + 'Status'.padEnd(12) + ' | ' + 'Days left'.padEnd(9) + ' | ' + 'kid / iss / sub');
+  console.log('-'.repeat(90));
+  for (const result of results) {
+    const days = result.daysRemaining === undefined ? '-' : result.daysRemaining.toFixed(1);
+    const details = result.error || `${result.kid} / ${result.iss} / ${result.sub}`;
+    console.log(`${result.environment.padEnd(5)} | ${result.app.padEnd(6)} | ${statusIcons[result.status].padEnd(12)} | ${days.padEnd(9)} | ${details}`);
+    if (result.rotation) {
+      console.log(`${''.padEnd(5)} | ${''.padEnd(6)} | ${''.padEnd(12)} | ${''.padEnd(9)} | rotation: ${result.rotation}`);
+    }
+  }
+  
+  // The worst status decides the exit code
+  const worst = ['unknown', 'critical', 'warning', 'ok'].find(status => results.some(r => r.status === status)) || 'ok';
+  console.log(`\n📊 Overall status: ${statusIcons[worst]}`);
+  
+  return { status: worst, exitCode: EXPIRY_EXIT_CODES[worst], results };
+}
+
+function parseNumberFlag(flag, flagName, envVarName) {
+  const raw = flag(flagName) || process.env[envVarName];
+  if (raw === undefined) {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (Number.isNaN(value)) {
+    throw new Error(`--${flagName} must be a number, got "${raw}"`);
+  }
+  return value;
+}
+
+// `values` are the parsed command-line flags (as from util.parseArgs); when
+// run on its own the flags are read from process.argv
+function parseExpiryOptions(values) {
+  const flag = name => (values ? values[name] : getFlagValue(name));
+  const keyPaths = {};
+  for (const name of getAppIds()) {
+    keyPaths[name] = flag(`${name}-key-path`) || process.env[`${toEnvVarCase(name)}_APPLE_KEY_PATH`];
+  }
+  
+  return {
+    environments: flag('env') ? [flag('env')] : getEnvironmentIds(),
+    apps: flag('app') ? [flag('app')] : getAppIds(),
+    warnDays: parseNumberFlag(flag, 'warn-days', 'APPLE_EXPIRY_WARN_DAYS') ?? DEFAULT_WARN_DAYS,
+    criticalDays: parseNumberFlag(flag, 'critical-days', 'APPLE_EXPIRY_CRITICAL_DAYS') ?? DEFAULT_CRITICAL_DAYS,
+    rotateBelowDays: parseNumberFlag(flag, 'rotate-below-days', 'APPLE_EXPIRY_ROTATE_BELOW_DAYS'),
+    expiryDays: flag('expiry-days'),
+    keyPaths,
+    // Passed to the production guard of every unattended rotation
+    guard: {
+      confirmEnvironment: flag('confirm-environment'),
+      changeTicket: flag('change-ticket'),
+      approvalToken: flag('approval-token')
+    }
+  };
+}
+
+module.exports = {
+  EXPIRY_EXIT_CODES,
+  MAX_EXPIRY_SECONDS,
+  inspectAppleKey,
+  resolveExpirySeconds,
+  promptForInputs,
+  generateAppleClientSecret,
+  verifyAppleClientSecret,
+  rotateAppleClientSecret,
+  main,
+  checkAppleSecretExpiry,
+  parseExpiryOptions
+};
+
+if (require.main === module) {
+  if (process.argv[2] === 'check-expiry') {
+    Promise.resolve()
+      .then(() => checkAppleSecretExpiry(parseExpiryOptions()))
+      .then(({ exitCode }) => process.exit(exitCode))
+      .catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(EXPIRY_EXIT_CODES.unknown);
+      });
+  } else {
+    // Run the function
+    main()
+      .then(result => {
+        if (result) {
+          console.log('\n🎉 Process completed successfully!');
+          console.log('📋 Summary:', {
+            environment: result.environment,
+            app: result.app,
+            secretName: result.secretName,
+            secretKey: result.secretKey,
+            kmsAlias: result.kmsAlias,
+            expiresAt: result.expiresAt,
+            changeTicket: result.changeTicket
+          });
+        }
+      })
+      .catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+      });
+  }
+}
@@ -1,13 +1,104 @@
 
+const fs = require('fs');
+const path = require('path');
 const { input, select, confirm } = require('@inquirer/prompts');
-const { updateSecretValue, encryptWithKMS, listSecretVersions } = require('./secretManager');
+const { updateSecretValues, encryptWithKMS, decryptWithKMS, getEncryptionContext, listSecretVersions, getCurrentSecretValues, verifySecretUpdate } = require('./secretManager');
+const { useEnvironment } = require('./secretBackend');
+const {
+  getEnvironmentIds,
+  getAppIds,
+  getEnvironmentChoices,
+  getAppChoices,
+  getSecretName,
+  getKmsAlias,
+  getKeyName,
+  toEnvVarCase,
+  getInputValue,
+  isNonInteractive,
+  resolveInput,
+  assertChoice
+} = require('./config');
+const { confirmProductionChange } = require('./productionGuard');
+const { CLIENT_ID_PATTERN, isRedirectUri } = require('./secretSchema');
 
+// The "keys" entries in the project config each client type is stored under
+const CLIENT_KEYS = {
+  web: { clientId: 'googleWebClientId', clientSecret: 'googleWebClientSecret', redirectUris: 'googleWebRedirectUris' },
+  ios: { clientId: 'googleIosClientId' },
+  android: { clientId: 'googleAndroidClientId' }
+};
 
-async function promptForInputs() {
+function assertClientId(name, clientId) {
+  if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+    throw new Error(`${name} "${clientId}" is not a Google OAuth client ID (<number>-<id>.apps.googleusercontent.com)`);
+  }
+  return clientId;
+}
+
+// Reads the client_secret_*.json that Google Cloud Console downloads for a
+// "Web application" client: { "web": { "client_id", "client_secret",
+// "redirect_uris": [...], ... } }. iOS and Android clients have no secret, so
+// only their client IDs are taken (--ios-client-id, --android-client-id).
+function parseGoogleClientJson(raw, source = 'Client JSON') {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+  
+  if (parsed && parsed.installed) {
+    throw new Error(`${source} is for an installed-app client - download the JSON of a "Web application" client; iOS and Android client IDs go in --ios-client-id/--android-client-id`);
+  }
+  const web = parsed && parsed.web;
+  if (!web || typeof web !== 'object') {
+    throw new Error(`${source} has no "web" section - expected the client_secret_*.json downloaded from Google Cloud Console`);
+  }
+  
+  const problems = [];
+  if (typeof web.client_id !== 'string' || !CLIENT_ID_PATTERN.test(web.client_id)) {
+    problems.push('web.client_id is missing or is not a Google OAuth client ID');
+  }
+  if (typeof web.client_secret !== 'string' || web.client_secret.trim() === '') {
+    problems.push('web.client_secret is missing');
+  }
+  const redirectUris = web.redirect_uris === undefined ? [] : web.redirect_uris;
+  if (!Array.isArray(redirectUris) || !redirectUris.every(isRedirectUri)) {
+    problems.push('web.redirect_uris must be a list of http(s) URLs');
+  }
+  if (problems.length > 0) {
+    throw new Error(`${source} is not a valid web client JSON:\n  - ${problems.join('\n  - ')}`);
+  }
+  
+  return {
+    clientId: web.client_id,
+    clientSecret: web.client_secret.trim(),
+    redirectUris,
+    projectId: web.project_id || null
+  };
+}
+
+function loadGoogleClientJson(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Client JSON not found: ${resolvedPath}`);
+  }
+  return parseGoogleClientJson(fs.readFileSync(resolvedPath, 'utf8'), resolvedPath);
+}
+
+// Each value comes from `options` (environment, app, config.*), then a flag
+// (--env, --app, --client-json, --client-secret, --ios-client-id,
+// --android-client-id), then an environment variable (SECRET_ROTATOR_ENV,
+// SECRET_ROTATOR_APP, <APP>_GOOGLE_CLIENT_JSON, <APP>_GOOGLE_WEB_CLIENT_SECRET,
+// <APP>_GOOGLE_IOS_CLIENT_ID, <APP>_GOOGLE_ANDROID_CLIENT_ID). Only what is
+// still missing is prompted for.
+async function promptForInputs(options = {}) {
+    const { nonInteractive = isNonInteractive() } = options;
+    const preset = options.config || {};
     console.log('Google Client Secret Rotation Tool\n');
     
     // confirm with user if aws cli is installed and configured
-    const awsCliInstalled = await confirm({
+    const awsCliInstalled = nonInteractive || await confirm({
       message: 'Is the AWS CLI installed and configured?',
       default: true
     });
@@ -17,56 +108,181 @@ async function promptForInputs() {
       return;
     }
   
-    const environment = await select({
-      message: 'Select the environment:',
-      choices: [
-        { name: 'Development', value: 'dev' },
-        { name: 'UAT', value: 'uat' },
-        { name: 'Production', value: 'prd' },
-      ]
+    const environment = await resolveInput(options.environment || getInputValue('env', 'SECRET_ROTATOR_ENV'), {
+      nonInteractive,
+      missing: '--env is required',
+      ask: () => select({
+        message: 'Select the environment:',
+        choices: getEnvironmentChoices()
+      })
     });
     
-    const app = await select({
-      message: 'Select the app:',
-      choices: [
-        { name: 'Main', value: 'main' },
-        { name: 'Flask', value: 'flask' }
-      ]
+    assertChoice('Environment', environment, getEnvironmentIds());
+    
+    const app = await resolveInput(options.app || getInputValue('app', 'SECRET_ROTATOR_APP'), {
+      nonInteractive,
+      missing: '--app is required',
+      ask: () => select({
+        message: 'Select the app:',
+        choices: getAppChoices()
+      })
     });
     
-    // Now ask for app-specific values
-    const webClientSecret = (await input({
-      message: `Enter ${app.toUpperCase()} Google Web Client Secret:`,
-      validate: (input) => input.trim() !== '' || 'Client Secret cannot be empty'
-    })).trim();
+    assertChoice('App', app, getAppIds());
+    const envPrefix = `${toEnvVarCase(app)}_GOOGLE`;
+    
+    // Now ask for app-specific values. A client JSON replaces the web client
+    // ID, secret and redirect URIs together; a pasted secret only the secret.
+    let clientJson = preset.clientJson || getInputValue('client-json', `${envPrefix}_CLIENT_JSON`);
+    let webClientSecret = preset.webClientSecret || getInputValue('client-secret', `${envPrefix}_WEB_CLIENT_SECRET`);
+    let iosClientId = preset.iosClientId || getInputValue('ios-client-id', `${envPrefix}_IOS_CLIENT_ID`);
+    let androidClientId = preset.androidClientId || getInputValue('android-client-id', `${envPrefix}_ANDROID_CLIENT_ID`);
+    
+    if (!clientJson && !webClientSecret && !iosClientId && !androidClientId) {
+      if (nonInteractive) {
+        throw new Error('--client-json, --client-secret, --ios-client-id or --android-client-id is required');
+      }
+      
+      const source = await select({
+        message: `How do you want to update the ${app.toUpperCase()} Google client?`,
+        choices: [
+          { name: 'Import the client_secret_*.json downloaded from Google Cloud Console', value: 'json' },
+          { name: 'Paste the web client secret only', value: 'secret' },
+          { name: 'Only update iOS/Android client IDs', value: 'none' }
+        ]
+      });
+      if (source === 'json') {
+        clientJson = (await input({
+          message: 'Path to the client JSON file:',
+          validate: (input) => fs.existsSync(input.trim()) || 'File not found'
+        })).trim();
+      } else if (source === 'secret') {
+        webClientSecret = (await input({
+          message: `Enter ${app.toUpperCase()} Google Web Client Secret:`,
+          validate: (input) => input.trim() !== '' || 'Client Secret cannot be empty'
+        })).trim();
+      }
+      
+      const askClientId = (platform) => input({
+        message: `${app.toUpperCase()} ${platform} client ID (Enter to leave unchanged):`,
+        validate: (input) => input.trim() === '' || CLIENT_ID_PATTERN.test(input.trim()) || 'Not a Google OAuth client ID'
+      });
+      iosClientId = (await askClientId('iOS')).trim() || undefined;
+      androidClientId = (await askClientId('Android')).trim() || undefined;
+    }
+    
+    let web = null;
+    if (clientJson) {
+      web = loadGoogleClientJson(clientJson);
+      console.log(`📄 Read web client ${web.clientId}${web.projectId ? ` (project ${web.projectId})` : ''} from ${clientJson}`);
+      if (webClientSecret && webClientSecret.trim() !== web.clientSecret) {
+        console.log('ℹ️  Using the client secret from the client JSON, not the one given separately');
+      }
+    } else if (webClientSecret) {
+      web = { clientSecret: webClientSecret.trim() };
+    }
     
     return {
       environment,
       app,
       config: {
-        webClientSecret,
+        web,
+        ios: iosClientId ? { clientId: assertClientId('iOS client ID', iosClientId.trim()) } : null,
+        android: androidClientId ? { clientId: assertClientId('Android client ID', androidClientId.trim()) } : null
       }
     };
 }
-  
 
-async function main() {
-    const { environment, app, config } = await promptForInputs();
-    const secretName = `${environment}/web3-auth/auth-service-api`;
-    const secretKey = `${app.toUpperCase()}_GOOGLE_WEB_CLIENT_SECRET`;
+// Warns for every stored client ID that this update replaces with a different
+// one; sign-in breaks until the apps use the new client
+function findClientIdChanges(currentValues, changes, keys) {
+  const clientIdChanges = [];
+  for (const type of Object.keys(CLIENT_KEYS)) {
+    const key = keys[type].clientId;
+    if (changes[key] && currentValues[key] && currentValues[key] !== changes[key]) {
+      console.log(`⚠️  ${key} changes from ${currentValues[key]} to ${changes[key]} - make sure every ${type} app uses the new client`);
+      clientIdChanges.push({ key, from: currentValues[key], to: changes[key] });
+    }
+  }
+  return clientIdChanges;
+}
+
+async function main(options = {}) {
+    const { nonInteractive = isNonInteractive() } = options;
+    const inputs = await promptForInputs({ ...options, nonInteractive });
+    if (!inputs) {
+      return;
+    }
+    const { environment, app, config } = inputs;
+    useEnvironment(environment);
+    const secretName = getSecretName(environment);
+    const keys = Object.fromEntries(Object.entries(CLIENT_KEYS).map(([type, names]) => [
+      type,
+      Object.fromEntries(Object.entries(names).map(([field, kind]) => [field, getKeyName(kind, app, environment)]))
+    ]));
+    
+    // Plain values are stored as they are; only the client secret is encrypted
+    const changes = {};
+    if (config.web && config.web.clientId) {
+      changes[keys.web.clientId] = config.web.clientId;
+      changes[keys.web.redirectUris] = config.web.redirectUris.length > 0 ? config.web.redirectUris.join(',') : null;
+    }
+    for (const type of ['ios', 'android']) {
+      if (config[type]) {
+        changes[keys[type].clientId] = config[type].clientId;
+      }
+    }
+    const clientIdChanges = findClientIdChanges(await getCurrentSecretValues(secretName), changes, keys);
+    
+    const changeMetadata = await confirmProductionChange(environment, { ...options, secretName, nonInteractive });
   // Encrypt secret with KMS
-  const kmsAlias = `alias/mmcx/${environment}/auth-service-api`;
-  console.log(`🔒 Encrypting token with KMS alias: ${kmsAlias}`);
-  const encryptedClientSecret = await encryptWithKMS(config.webClientSecret, kmsAlias);
-  console.log('✅ Token encrypted successfully');
-  await updateSecretValue(secretName, secretKey, encryptedClientSecret);
+  const kmsAlias = getKmsAlias(environment);
+  const secretContext = getEncryptionContext(environment, secretName, keys.web.clientSecret);
+  if (config.web) {
+    console.log(`🔒 Encrypting token with KMS alias: ${kmsAlias}`);
+    changes[keys.web.clientSecret] = await encryptWithKMS(config.web.clientSecret, kmsAlias, { context: secretContext });
+    console.log('✅ Token encrypted successfully');
+  }
+  const response = await updateSecretValues(secretName, changes, { ...changeMetadata, labelHint: `google-${app}` });
+  await verifySecretUpdate(secretName, response.VersionId, async values => {
+    for (const [key, value] of Object.entries(changes)) {
+      if (key === keys.web.clientSecret) {
+        if (!values[key] || await decryptWithKMS(values[key], { context: secretContext }) !== config.web.clientSecret) {
+          throw new Error(`Decrypted ${key} does not match the client secret that was entered`);
+        }
+      } else if ((values[key] ?? null) !== value) {
+        throw new Error(`Stored ${key} does not match the value that was written`);
+      }
+    }
+  }, { rollback: nonInteractive ? true : 'prompt', previousVersionId: response.PreviousVersionId });
   await listSecretVersions(secretName);
+  return {
+    environment,
+    app,
+    secretName,
+    keys: Object.keys(changes),
+    kmsAlias,
+    versionId: response.VersionId,
+    changeTicket: changeMetadata.changeTicket,
+    clientIdChanges
+  };
 }
 
-main()
-  .then(result => {
-    console.log('Secret updated successfully');
-  })
-  .catch(error => {
-    console.error('Error:', error);
-  });   
\ No newline at end of file
+module.exports = {
+  CLIENT_ID_PATTERN,
+  parseGoogleClientJson,
+  loadGoogleClientJson,
+  promptForInputs,
+  main
+};
+
+if (require.main === module) {
+  main()
+    .then(result => {
+      console.log('Secret updated successfully');
+    })
+    .catch(error => {
+      console.error('Error:', error);
+      process.exit(1);
+    });
+}   
\ No newline at end of file
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { confirm } = require('@inquirer/prompts');
+const { getEncryptedKeyNames, getEnvironmentForSecret, isNonInteractive } = require('./config');
+const { decryptWithKMS, getEncryptionContext, getSecretVersionValues, resolveSecretVersion } = require('./secretManager');
+const { recordAuditEvent } = require('./auditLog');
+const { decodeJwt, fingerprintValue, formatClaim } = require('./secretDiff');
+const { computeKeyId } = require('./initiateJwtPriv');
+const { parseKey } = require('./secretSchema');
+
+// A redacted description of a plaintext: header and claims for a JWT, type,
+// curve and public-key fingerprint for a key, length and hash otherwise
+function describePlaintext(plaintext) {
+  const jwt = decodeJwt(plaintext);
+  if (jwt) {
+    return { kind: 'jwt', header: jwt.header, claims: jwt.payload };
+  }
+
+  const key = parseKey(plaintext);
+  if (key) {
+    const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+    const details = key.asymmetricKeyDetails || {};
+    const spki = publicKey.export({ format: 'der', type: 'spki' });
+    let kid = null;
+    try {
+      kid = computeKeyId(publicKey.export({ format: 'pem', type: 'spki' }));
+    } catch (error) {
+      // No JWK thumbprint for this key type
+    }
+    return {
+      kind: `${key.type}-key`,
+      keyType: key.asymmetricKeyType,
+      curve: details.namedCurve || null,
+      modulusLength: details.modulusLength || null,
+      publicKeyFingerprint: `sha256:${crypto.createHash('sha256').update(spki).digest('hex')}`,
+      kid
+    };
+  }
+
+  return { kind: 'opaque', length: plaintext.length, fingerprint: fingerprintValue(plaintext) };
+}
+
+function printDescription(description) {
+  if (description.kind === 'jwt') {
+    console.log('   Type:       JWT');
+    for (const [field, value] of Object.entries(description.header)) {
+      console.log(`   header.${field.padEnd(4)} ${formatClaim(field, value)}`);
+    }
+    for (const [field, value] of Object.entries(description.claims)) {
+      console.log(`   ${field.padEnd(11)} ${formatClaim(field, value)}`);
+    }
+    if (typeof description.claims.exp === 'number') {
+      const daysRemaining = (description.claims.exp * 1000 - Date.now()) / (24 * 60 * 60 * 1000);
+      console.log(`   ${daysRemaining < 0 ? '⚠️  Expired' : 'Expires in'}  ${Math.abs(daysRemaining).toFixed(1)} days${daysRemaining < 0 ? ' ago' : ''}`);
+    }
+    return;
+  }
+  if (description.kind === 'opaque') {
+    console.log('   Type:       opaque string');
+    console.log(`   Length:     ${description.length}`);
+    console.log(`   Hash:       ${description.fingerprint}`);
+    return;
+  }
+  console.log(`   Type:       ${description.kind.replace('-', ' ')} (${description.keyType})`);
+  if (description.curve) {
+    console.log(`   Curve:      ${description.curve}`);
+  }
+  if (description.modulusLength) {
+    console.log(`   Modulus:    ${description.modulusLength} bits`);
+  }
+  console.log(`   Public key: ${description.publicKeyFingerprint}`);
+  if (description.kid) {
+    console.log(`   kid:        ${description.kid}`);
+  }
+}
+
+// Decrypts one key of a secret version (AWSCURRENT unless `version` names a
+// label or version ID) and prints a redacted description. Keys that are not
+// KMS-encrypted are described as stored. The plaintext is only printed with
+// `reveal`, after a confirmation. Only `yesReveal` skips it - not the general
+// `force` - and every reveal is audited, including whether it was confirmed.
+async function inspectSecretValue(secretName, key, options = {}) {
+  const { version = 'AWSCURRENT', reveal = false, yesReveal = false, nonInteractive = isNonInteractive() } = options;
+  const environment = options.environment || getEnvironmentForSecret(secretName);
+
+  const target = await resolveSecretVersion(secretName, version);
+  const values = await getSecretVersionValues(secretName, target.versionId);
+  if (values[key] === undefined || values[key] === null) {
+    throw new Error(`${key} is not set in version ${target.versionId} of ${secretName}`);
+  }
+
+  const encrypted = getEncryptedKeyNames(environment).includes(key);
+  const plaintext = encrypted
+    ? await decryptWithKMS(values[key], { context: getEncryptionContext(environment, secretName, key) })
+    : String(values[key]);
+  const description = describePlaintext(plaintext);
+
+  console.log(`\n🔍 ${key} in ${secretName}`);
+  console.log(`   Version:    ${target.versionId} (${target.labels.join(', ')})`);
+  console.log(`   Stored:     ${encrypted ? 'KMS-encrypted' : 'unencrypted'}`);
+  printDescription(description);
+
+  const result = { secretName, key, versionId: target.versionId, labels: target.labels, encrypted, ...description };
+  if (!reveal) {
+    return result;
+  }
+
+  if (!yesReveal) {
+    if (nonInteractive) {
+      throw new Error('--reveal needs --yes-reveal with --no-input');
+    }
+    const confirmed = await confirm({
+      message: `Print the plaintext of ${key} to this terminal?`,
+      default: false
+    });
+    if (!confirmed) {
+      console.log('❌ Reveal cancelled by user.');
+      return result;
+    }
+  }
+
+  await recordAuditEvent({ action: 'secret.reveal', secretName, key, versionId: target.versionId, confirmation: yesReveal ? 'bypassed' : 'confirmed' });
+  console.log('\n⚠️  Plaintext:\n');
+  console.log(plaintext);
+  return { ...result, plaintext };
+}
+
+module.exports = {
+  describePlaintext,
+  inspectSecretValue
+};
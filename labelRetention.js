@@ -0,0 +1,313 @@
+const { MAX_STAGING_LABELS } = require('./secretBackend');
+const { loadConfig } = require('./config');
+
+// Decides which timestamp labels to keep. Shared by the cleanup tool and by
+// secretManager, which prunes before a write that would exceed the label limit.
+
+// Configuration
+const DEFAULT_KEEP_COUNT = 10;
+const DEFAULT_KEEP_DAYS = 7;
+const AWS_REQUIRED_LABELS = ['AWSCURRENT', 'AWSPREVIOUS'];
+// Grandfather-father-son defaults (--gfs): 3 + 7 + 4 + 3 = 17 labels, which
+// fits the 20-label limit with AWSCURRENT, AWSPREVIOUS and one free slot
+const DEFAULT_RETENTION = { last: 3, daily: 7, weekly: 4, monthly: 3 };
+// Left free so the next rotation can label the outgoing version
+const LABEL_HEADROOM = 1;
+
+// "cleanup" in the config file: { "keep": 10, "days": 7, "retention": {...} }
+function getCleanupDefaults() {
+  const cleanup = loadConfig().cleanup || {};
+  return {
+    keepCount: cleanup.keep ?? DEFAULT_KEEP_COUNT,
+    keepDays: cleanup.days ?? DEFAULT_KEEP_DAYS,
+    retention: { ...DEFAULT_RETENTION, ...cleanup.retention }
+  };
+}
+
+// Rotation labels are UTC to the millisecond, a random suffix and an optional
+// hint: "20251019T082412041Z-3fa9" or "20251019T082412041Z-3fa9-jwt-Ab12Cd34".
+// Older tools wrote local time to the second: "20250709_143530".
+const ROTATION_LABEL_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z-([0-9a-f]{4})(?:-([A-Za-z0-9-]+))?$/;
+const LEGACY_LABEL_PATTERN = /^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/;
+
+// { timestamp, id, hint, legacy } for either format, or null
+function parseRotationLabel(label) {
+  const match = label.match(ROTATION_LABEL_PATTERN);
+  if (match) {
+    const [, year, month, day, hour, minute, second, millisecond, id, hint] = match;
+    const timestamp = new Date(Date.UTC(year, month - 1, day, hour, minute, second, millisecond));
+    return { timestamp, id, hint: hint || null, legacy: false };
+  }
+  
+  const legacy = label.match(LEGACY_LABEL_PATTERN);
+  if (legacy) {
+    const [, year, month, day, hour, minute, second] = legacy;
+    // Legacy labels carry the operator's local time
+    const timestamp = new Date(year, month - 1, day, hour, minute, second);
+    return { timestamp, id: null, hint: null, legacy: true };
+  }
+  return null;
+}
+
+function parseTimestampLabel(label) {
+  const parsed = parseRotationLabel(label);
+  return parsed && !Number.isNaN(parsed.timestamp.getTime()) ? parsed.timestamp : null;
+}
+
+function isTimestampLabel(label) {
+  return ROTATION_LABEL_PATTERN.test(label) || LEGACY_LABEL_PATTERN.test(label);
+}
+
+function identifyVersionsToCleanup(versions, keepCount = DEFAULT_KEEP_COUNT, keepDays = DEFAULT_KEEP_DAYS, strict = false) {
+  const toRemoveLabels = [];
+  const toDeleteVersions = [];
+  const timestampVersions = [];
+  
+  // Find all versions with timestamp labels
+  for (const [versionId, labels] of Object.entries(versions)) {
+    // Skip required AWS labels
+    if (labels.includes('AWSCURRENT') || labels.includes('AWSPREVIOUS')) {
+      continue;
+    }
+    
+    const timestampLabels = labels.filter(isTimestampLabel);
+    
+    if (timestampLabels.length > 0) {
+      for (const label of timestampLabels) {
+        const timestamp = parseTimestampLabel(label);
+        if (timestamp) {
+          timestampVersions.push({
+            versionId,
+            label,
+            timestamp,
+            allLabels: labels
+          });
+        }
+      }
+    } else if (labels.length === 0) {
+      // Unlabeled version - safe to delete
+      toDeleteVersions.push(versionId);
+    }
+  }
+  
+  // Sort by timestamp (newest first)
+  timestampVersions.sort((a, b) => b.timestamp - a.timestamp);
+  
+  // Keep recent versions based on count
+  const versionsToKeep = timestampVersions.slice(0, keepCount);
+  const versionsToCleanup = timestampVersions.slice(keepCount);
+  
+  console.log(`   - Will keep ${versionsToKeep.length} most recent timestamp versions`);
+  console.log(`   - Will cleanup ${versionsToCleanup.length} older timestamp versions`);
+  
+  // Apply days filter only if not in strict mode
+  if (!strict && keepDays > 0) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - keepDays);
+    
+    // Filter out versions that are too recent to delete
+    const finalVersionsToCleanup = versionsToCleanup.filter(version => {
+      const shouldKeepByDays = version.timestamp > cutoffDate;
+      if (shouldKeepByDays) {
+        console.log(`   - Keeping ${version.label} (within ${keepDays} days, not in strict mode)`);
+        return false; // Don't cleanup this version
+      }
+      return true; // Cleanup this version
+    });
+    
+    console.log(`   - After days filter: ${finalVersionsToCleanup.length} versions to cleanup`);
+    
+    // Mark versions for cleanup
+    for (const version of finalVersionsToCleanup) {
+      toRemoveLabels.push({
+        versionId: version.versionId,
+        label: version.label
+      });
+      
+      // If removing this label leaves the version unlabeled, mark for deletion
+      const remainingLabels = version.allLabels.filter(l => 
+        l !== version.label && !AWS_REQUIRED_LABELS.includes(l)
+      );
+      
+      if (remainingLabels.length === 0) {
+        toDeleteVersions.push(version.versionId);
+      }
+    }
+  } else {
+    // Strict mode or no days filter - cleanup all versions beyond keepCount
+    for (const version of versionsToCleanup) {
+      // Remove timestamp label from this version
+      toRemoveLabels.push({
+        versionId: version.versionId,
+        label: version.label
+      });
+      
+      // If removing this label leaves the version unlabeled, mark for deletion
+      const remainingLabels = version.allLabels.filter(l => 
+        l !== version.label && !AWS_REQUIRED_LABELS.includes(l)
+      );
+      
+      if (remainingLabels.length === 0) {
+        toDeleteVersions.push(version.versionId);
+      }
+    }
+  }
+  
+  return {
+    toRemoveLabels,
+    toDeleteVersions,
+    versionsToKeep: versionsToKeep.length,
+    versionsToCleanup: versionsToCleanup.length
+  };
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Days, weeks and months are UTC, so operators in different time zones put a
+// label in the same bucket.
+// ISO 8601 week: weeks start on Monday and week 1 contains the first Thursday
+function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7)));
+  const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+  return { year: thursday.getUTCFullYear(), week };
+}
+
+function dayKey(date) {
+  return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}-${pad2(date.getUTCDate())}`;
+}
+
+function monthKey(date) {
+  return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}`;
+}
+
+const RETENTION_TIERS = [
+  {
+    name: 'daily',
+    bucket: dayKey,
+    reason: date => `kept as daily snapshot for ${dayKey(date)}`
+  },
+  {
+    name: 'weekly',
+    bucket: date => {
+      const { year, week } = isoWeek(date);
+      return `${year}-W${pad2(week)}`;
+    },
+    reason: date => {
+      const { year, week } = isoWeek(date);
+      return `kept as weekly snapshot for week ${week} of ${year}`;
+    }
+  },
+  {
+    name: 'monthly',
+    bucket: monthKey,
+    reason: date => `kept as monthly snapshot for ${monthKey(date)}`
+  }
+];
+
+// Grandfather-father-son retention: keep the `last` newest timestamp labels,
+// then the newest label of each of the `daily` most recent days that have one,
+// of the `weekly` most recent ISO weeks and of the `monthly` most recent
+// months. A label already kept by an earlier tier covers its day/week/month.
+// If the result does not fit the free label slots, the oldest kept labels go.
+// Every label gets a reason explaining the decision.
+function identifyVersionsToCleanupByRetention(versions, retention = DEFAULT_RETENTION) {
+  const policy = { ...DEFAULT_RETENTION, ...retention };
+  const toDeleteVersions = [];
+  const timestampVersions = [];
+  let fixedLabels = 0;
+  
+  for (const [versionId, labels] of Object.entries(versions)) {
+    // Labels on AWSCURRENT/AWSPREVIOUS, and labels this tool did not create,
+    // are never removed but still take up slots
+    if (labels.includes('AWSCURRENT') || labels.includes('AWSPREVIOUS')) {
+      fixedLabels += labels.length;
+      continue;
+    }
+    if (labels.length === 0) {
+      toDeleteVersions.push(versionId);
+      continue;
+    }
+    for (const label of labels) {
+      const timestamp = isTimestampLabel(label) && parseTimestampLabel(label);
+      if (timestamp) {
+        timestampVersions.push({ versionId, label, timestamp, allLabels: labels });
+      } else {
+        fixedLabels++;
+      }
+    }
+  }
+  
+  timestampVersions.sort((a, b) => b.timestamp - a.timestamp);
+  const reasons = new Map();
+  
+  timestampVersions.slice(0, policy.last).forEach((version, index) => {
+    reasons.set(version, `kept as recent snapshot ${index + 1} of ${policy.last}`);
+  });
+  
+  for (const tier of RETENTION_TIERS) {
+    const covered = new Set();
+    for (const version of timestampVersions) {
+      const bucket = tier.bucket(version.timestamp);
+      if (covered.has(bucket)) {
+        continue;
+      }
+      if (covered.size >= policy[tier.name]) {
+        break;
+      }
+      covered.add(bucket);
+      if (!reasons.has(version)) {
+        reasons.set(version, tier.reason(version.timestamp));
+      }
+    }
+  }
+  
+  const budget = Math.max(0, MAX_STAGING_LABELS - fixedLabels - LABEL_HEADROOM);
+  const decisions = [];
+  let kept = 0;
+  for (const version of timestampVersions) {
+    let keep = reasons.has(version);
+    let reason = keep ? reasons.get(version) : 'removed - not covered by any retention tier';
+    if (keep && kept >= budget) {
+      keep = false;
+      reason = `removed - ${reasons.get(version).replace(/^kept as /, '')} does not fit the ${budget} free label slots`;
+    }
+    if (keep) {
+      kept++;
+    }
+    decisions.push({ versionId: version.versionId, label: version.label, keep, reason });
+  }
+  
+  const toRemoveLabels = decisions.filter(decision => !decision.keep).map(({ versionId, label }) => ({ versionId, label }));
+  for (const { versionId } of toRemoveLabels) {
+    const remaining = versions[versionId].filter(label => !toRemoveLabels.some(item => item.versionId === versionId && item.label === label));
+    if (remaining.length === 0 && !toDeleteVersions.includes(versionId)) {
+      toDeleteVersions.push(versionId);
+    }
+  }
+  
+  return {
+    toRemoveLabels,
+    toDeleteVersions,
+    versionsToKeep: kept,
+    versionsToCleanup: toRemoveLabels.length,
+    labelBudget: budget,
+    decisions
+  };
+}
+
+module.exports = {
+  DEFAULT_KEEP_COUNT,
+  DEFAULT_KEEP_DAYS,
+  DEFAULT_RETENTION,
+  LABEL_HEADROOM,
+  ROTATION_LABEL_PATTERN,
+  getCleanupDefaults,
+  parseRotationLabel,
+  parseTimestampLabel,
+  isTimestampLabel,
+  identifyVersionsToCleanup,
+  identifyVersionsToCleanupByRetention
+};
@@ -0,0 +1,74 @@
+const { useEnvironment } = require('./secretBackend');
+const { getSecretName, getSecretSchema } = require('./config');
+const { decryptWithKMS, getEncryptionContext, getSecretVersionValues, resolveSecretVersion } = require('./secretManager');
+const { checkSecretValues, checkPlaintextFormat } = require('./secretSchema');
+
+// Checks AWSCURRENT of an environment's secret against its schema. With
+// `decrypt`, encrypted values that have a format are decrypted and checked
+// too, and encrypted copies (JWT_PRIV_DEV) are compared with their original.
+async function lintSecretValues(environment, options = {}) {
+  const { decrypt = false } = options;
+  useEnvironment(environment);
+  const secretName = options.secretName || getSecretName(environment);
+  const schema = getSecretSchema(environment);
+
+  const target = await resolveSecretVersion(secretName, 'AWSCURRENT');
+  const values = await getSecretVersionValues(secretName, target.versionId);
+  console.log(`\n🔎 Linting ${secretName} (AWSCURRENT ${target.versionId.substring(0, 8)}...) against its schema`);
+
+  const violations = checkSecretValues(values, schema);
+  if (decrypt) {
+    const checked = new Set(violations.map(violation => violation.key));
+    const plaintexts = {};
+    const decryptKey = async key => {
+      if (!(key in plaintexts)) {
+        plaintexts[key] = await decryptWithKMS(values[key], { context: getEncryptionContext(environment, secretName, key) });
+      }
+      return plaintexts[key];
+    };
+    for (const [key, spec] of Object.entries(schema.keys)) {
+      if (!spec.encrypted || !(spec.format || spec.pattern || spec.copyOf) || !values[key] || checked.has(key)) {
+        continue;
+      }
+      let plaintext;
+      try {
+        plaintext = await decryptKey(key);
+      } catch (error) {
+        violations.push({ key, rule: 'decrypt', message: `cannot be decrypted: ${error.message}` });
+        continue;
+      }
+      if (spec.copyOf) {
+        // An original that does not decrypt is reported on its own
+        const original = values[spec.copyOf] ? await decryptKey(spec.copyOf).catch(() => plaintext) : plaintext;
+        if (original !== plaintext) {
+          violations.push({ key, rule: 'copy', message: `must be a copy of ${spec.copyOf} once decrypted` });
+        }
+        continue;
+      }
+      const problem = checkPlaintextFormat(key, plaintext, spec);
+      if (problem) {
+        violations.push({ ...problem, message: `${problem.message} once decrypted` });
+      }
+    }
+  }
+
+  const keys = Object.keys(values);
+  for (const key of [...keys, ...Object.keys(schema.keys).filter(name => !keys.includes(name))]) {
+    const problems = violations.filter(violation => violation.key === key);
+    if (problems.length > 0) {
+      for (const problem of problems) {
+        console.log(`   ❌ ${key.padEnd(32)} ${problem.message}`);
+      }
+    } else if (keys.includes(key)) {
+      console.log(`   ✅ ${key}`);
+    }
+  }
+
+  const ok = violations.length === 0;
+  console.log(ok ? `\n✅ ${keys.length} key(s) match the schema` : `\n❌ ${violations.length} problem(s) found`);
+  return { environment, secretName, versionId: target.versionId, ok, violations };
+}
+
+module.exports = {
+  lintSecretValues
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { input, confirm } = require('@inquirer/prompts');
+const { getInputValue, getKmsAlias, loadConfig, resolveInput } = require('./config');
+const { encryptWithKMS, decryptWithKMS } = require('./secretManager');
+const { getBackend } = require('./secretBackend');
+const { getOperatorIdentity, recordAuditEvent } = require('./auditLog');
+
+// Writes to these environments need the environment name typed back, a change
+// ticket and - when "guardrails.requireApproval" is set - a one-time approval
+// token issued by a second person with approveChange.js
+const DEFAULT_PROTECTED_ENVIRONMENTS = ['prd'];
+const DEFAULT_TICKET_PATTERN = '^[A-Z][A-Z0-9]+-\\d+$';
+const APPROVAL_TOKEN_PREFIX = 'apv1.';
+// Keeps a stored secret value from being passed off as a token; the
+// environment, secret and ticket are checked against the decrypted approval
+const APPROVAL_TOKEN_CONTEXT = { purpose: 'approval-token' };
+const DEFAULT_APPROVAL_MINUTES = 60;
+// A used token's nonce is tagged on the secret it approved, valued with the
+// token's expiry so the tag can be dropped once the token is dead anyway
+const USED_APPROVAL_TAG_PREFIX = 'UsedApproval:';
+
+function getGuardrailSettings() {
+  const guardrails = loadConfig().guardrails || {};
+  return {
+    protectedEnvironments: guardrails.protectedEnvironments || DEFAULT_PROTECTED_ENVIRONMENTS,
+    ticketPattern: new RegExp(guardrails.ticketPattern || DEFAULT_TICKET_PATTERN),
+    requireApproval: process.env.SECRET_ROTATOR_REQUIRE_APPROVAL === 'true' || guardrails.requireApproval === true
+  };
+}
+
+function isProtectedEnvironment(environment) {
+  return getGuardrailSettings().protectedEnvironments.includes(environment);
+}
+
+// Who is making the call according to AWS. Unlike getOperatorIdentity() it
+// cannot be set by the person running the tool.
+async function getCallerArn() {
+  const { Arn } = await getBackend().getCallerIdentity();
+  return Arn;
+}
+
+async function getSecretTags(secretName) {
+  try {
+    const { Tags = [] } = await getBackend().describeSecret({ SecretId: secretName });
+    return Tags;
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Marks the approval in `changeMetadata` (from confirmProductionChange) as
+// used on the secret itself and drops the marks of expired tokens. Returns
+// false if the secret does not exist yet - call again once it is created.
+async function recordApprovalUse(secretName, changeMetadata) {
+  const tags = await getSecretTags(secretName);
+  if (tags === null) {
+    return false;
+  }
+  const now = new Date();
+  const expired = tags
+    .filter(tag => tag.Key.startsWith(USED_APPROVAL_TAG_PREFIX) && new Date(tag.Value) <= now)
+    .map(tag => tag.Key);
+  if (expired.length > 0) {
+    await getBackend().untagResource({ SecretId: secretName, TagKeys: expired });
+  }
+  await getBackend().tagResource({
+    SecretId: secretName,
+    Tags: [{ Key: `${USED_APPROVAL_TAG_PREFIX}${changeMetadata.approvalNonce}`, Value: changeMetadata.approvalExpiresAt }]
+  });
+  return true;
+}
+
+// Approval tokens are KMS ciphertext under the environment's key, so only
+// someone allowed to use that key can issue one
+async function createApprovalToken({ environment, secretName, changeTicket, validMinutes = DEFAULT_APPROVAL_MINUTES }) {
+  const issuedAt = new Date();
+  const approval = {
+    environment,
+    secretName,
+    changeTicket,
+    approver: getOperatorIdentity(),
+    approverArn: await getCallerArn(),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + validMinutes * 60 * 1000).toISOString()
+  };
+
+  const ciphertext = await encryptWithKMS(JSON.stringify(approval), getKmsAlias(environment), { context: APPROVAL_TOKEN_CONTEXT });
+  await recordAuditEvent({
+    action: 'approval.issue',
+    secretName,
+    changeTicket,
+    approverArn: approval.approverArn,
+    approvalNonce: approval.nonce,
+    expiresAt: approval.expiresAt
+  });
+
+  return { token: `${APPROVAL_TOKEN_PREFIX}${ciphertext}`, approval };
+}
+
+// Returns the approval if the token is genuine, unexpired, unused, issued by
+// an AWS principal other than the current caller, and matches this exact change
+async function verifyApprovalToken(token, { environment, secretName, changeTicket }) {
+  if (!token.startsWith(APPROVAL_TOKEN_PREFIX)) {
+    throw new Error('Not an approval token');
+  }
+
+  let approval;
+  try {
+    approval = JSON.parse(await decryptWithKMS(token.substring(APPROVAL_TOKEN_PREFIX.length), { context: APPROVAL_TOKEN_CONTEXT }));
+  } catch (error) {
+    throw new Error(`Approval token could not be decrypted: ${error.message}`);
+  }
+
+  if (approval.environment !== environment || approval.secretName !== secretName) {
+    throw new Error(`Approval is for ${approval.environment} / ${approval.secretName}, not ${environment} / ${secretName}`);
+  }
+  if (approval.changeTicket !== changeTicket) {
+    throw new Error(`Approval is for change ticket ${approval.changeTicket}, not ${changeTicket}`);
+  }
+  if (new Date(approval.expiresAt) <= new Date()) {
+    throw new Error(`Approval expired at ${approval.expiresAt}`);
+  }
+  if (!approval.approverArn) {
+    throw new Error('Approval token does not record the approver\'s AWS identity - have a new one issued');
+  }
+  if (approval.approverArn === await getCallerArn()) {
+    throw new Error('Approval must come from a second person, not the operator making the change');
+  }
+  const tags = await getSecretTags(secretName) || [];
+  if (tags.some(tag => tag.Key === `${USED_APPROVAL_TAG_PREFIX}${approval.nonce}`)) {
+    throw new Error('Approval token has already been used');
+  }
+  return approval;
+}
+
+// Gate for writes to protected environments. Values can be passed in
+// `options` (e.g. from a rotation manifest), as --confirm-environment,
+// --change-ticket and --approval-token, or as SECRET_ROTATOR_CONFIRM_ENVIRONMENT,
+// SECRET_ROTATOR_CHANGE_TICKET and SECRET_ROTATOR_APPROVAL_TOKEN; anything
+// missing is prompted for (or is an error with `nonInteractive`). An approval
+// token is used up here, before the write. Returns the metadata to attach to
+// the write.
+async function confirmProductionChange(environment, options) {
+  const { secretName, nonInteractive = false } = options;
+  if (!isProtectedEnvironment(environment)) {
+    return {};
+  }
+
+  const settings = getGuardrailSettings();
+  console.log(`\n🛑 ${environment} is a protected environment`);
+
+  const typedEnvironment = await resolveInput(options.confirmEnvironment || getInputValue('confirm-environment', 'SECRET_ROTATOR_CONFIRM_ENVIRONMENT'), {
+    nonInteractive,
+    missing: `--confirm-environment ${environment} is required to change ${environment}`,
+    ask: () => input({ message: `Type "${environment}" to confirm you are changing ${environment}:` })
+  });
+  if (typedEnvironment.trim() !== environment) {
+    throw new Error(`Environment confirmation "${typedEnvironment}" does not match "${environment}"`);
+  }
+
+  const changeTicket = (await resolveInput(options.changeTicket || getInputValue('change-ticket', 'SECRET_ROTATOR_CHANGE_TICKET'), {
+    nonInteractive,
+    missing: `--change-ticket is required to change ${environment}`,
+    ask: () => input({
+      message: 'Change ticket ID:',
+      validate: (value) => settings.ticketPattern.test(value.trim()) || `Ticket must match ${settings.ticketPattern}`
+    })
+  })).trim();
+  if (!settings.ticketPattern.test(changeTicket)) {
+    throw new Error(`Change ticket "${changeTicket}" must match ${settings.ticketPattern}`);
+  }
+
+  let approvalToken = options.approvalToken || getInputValue('approval-token', 'SECRET_ROTATOR_APPROVAL_TOKEN');
+  if (!approvalToken && !settings.requireApproval) {
+    const hasApproval = !nonInteractive && await confirm({ message: 'Attach a second-approver token?', default: false });
+    if (hasApproval) {
+      approvalToken = await input({ message: 'Approval token:' });
+    }
+  } else if (!approvalToken) {
+    approvalToken = await resolveInput(undefined, {
+      nonInteractive,
+      missing: `--approval-token is required to change ${environment}`,
+      ask: () => input({
+        message: 'Approval token (from "secret-rotator approve"):',
+        validate: (value) => value.trim() !== '' || 'An approval token is required for this environment'
+      })
+    });
+  }
+
+  let approval;
+  if (approvalToken) {
+    approval = await verifyApprovalToken(approvalToken.trim(), { environment, secretName, changeTicket });
+    console.log(`✅ Approved by ${approval.approverArn} (expires ${approval.expiresAt})`);
+  }
+
+  console.log(`🎫 Change ticket: ${changeTicket}`);
+  const changeMetadata = {
+    changeTicket,
+    approvedBy: approval && approval.approverArn,
+    approvalNonce: approval && approval.nonce,
+    approvalExpiresAt: approval && approval.expiresAt
+  };
+  if (approval) {
+    await recordApprovalUse(secretName, changeMetadata);
+  }
+  return changeMetadata;
+}
+
+module.exports = {
+  isProtectedEnvironment,
+  createApprovalToken,
+  verifyApprovalToken,
+  recordApprovalUse,
+  confirmProductionChange
+};
@@ -0,0 +1,122 @@
+const { confirm } = require('@inquirer/prompts');
+const { useEnvironment } = require('./secretBackend');
+const { getEncryptedKeyNames, getKmsAlias, getSecretName, getSecretSchema, isNonInteractive } = require('./config');
+const { encryptWithKMS, decryptWithKMS, getEncryptionContext, getCurrentSecretValues, updateSecretValues, verifySecretUpdate, listSecretVersions } = require('./secretManager');
+const { confirmProductionChange } = require('./productionGuard');
+
+// Works out what each encrypted key needs: "bound" values already decrypt
+// with their encryption context, "unbound" ones only without one (written
+// before contexts were used) or - for a copy such as JWT_PRIV_DEV - with its
+// original's (written before copies had their own), and "unreadable" ones not
+// at all, including a value pasted here from another key
+async function classifyEncryptedValues(environment, secretName, values) {
+  const schema = getSecretSchema(environment);
+  const results = [];
+  for (const key of getEncryptedKeyNames(environment).filter(name => values[name])) {
+    const context = getEncryptionContext(environment, secretName, key);
+    try {
+      await decryptWithKMS(values[key], { context });
+      results.push({ key, status: 'bound' });
+      continue;
+    } catch (error) {
+      // Not bound to this key - try the legacy contexts below
+    }
+    const { copyOf } = schema.keys[key];
+    const legacyContexts = [...(copyOf ? [getEncryptionContext(environment, secretName, copyOf)] : []), undefined];
+    let plaintext;
+    let lastError;
+    for (const legacyContext of legacyContexts) {
+      try {
+        plaintext = await decryptWithKMS(values[key], { context: legacyContext });
+        break;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    results.push(plaintext === undefined
+      ? { key, status: 'unreadable', error: lastError.message }
+      : { key, status: 'unbound', plaintext, context });
+  }
+  return results;
+}
+
+// Re-encrypts every encrypted value of an environment's secret that is not
+// yet bound to its key, writing them as one new version. Each copy (e.g.
+// JWT_PRIV_DEV) gets a ciphertext of its own. Values that cannot be
+// decrypted at all are reported and left as they are.
+async function reencryptSecretValues(environment, options = {}) {
+  const { dryRun = false, force = false, nonInteractive = isNonInteractive() } = options;
+  useEnvironment(environment);
+  const secretName = options.secretName || getSecretName(environment);
+  const kmsAlias = getKmsAlias(environment);
+
+  console.log(`\n🔐 Checking encryption contexts in ${secretName}`);
+  const values = await getCurrentSecretValues(secretName);
+  const results = await classifyEncryptedValues(environment, secretName, values);
+
+  for (const result of results) {
+    const icon = { bound: '✅', unbound: '🔁', unreadable: '❌' }[result.status];
+    const note = { bound: 'already bound', unbound: 'will be re-encrypted', unreadable: result.error }[result.status];
+    console.log(`   ${icon} ${result.key.padEnd(32)} ${note}`);
+  }
+  const report = results.map(({ key, status, error }) => (error ? { key, status, error } : { key, status }));
+  const unbound = results.filter(result => result.status === 'unbound');
+  const unreadable = results.filter(result => result.status === 'unreadable');
+  const ok = unreadable.length === 0;
+  if (!ok) {
+    console.log(`\n⚠️  ${unreadable.length} value(s) cannot be decrypted - copied from another key or environment, or under a KMS key you cannot use. Rotate them instead.`);
+  }
+
+  if (unbound.length === 0) {
+    console.log(results.length === 0 ? '\nℹ️  No encrypted keys found.' : '\n✅ Nothing to re-encrypt.');
+    return { environment, secretName, status: 'nothing-to-do', ok, keys: report };
+  }
+  if (dryRun) {
+    console.log('\n🔍 DRY RUN - No actual changes made.');
+    return { environment, secretName, status: 'dry-run', ok, keys: report };
+  }
+  if (!force) {
+    const confirmed = await confirm({
+      message: `Re-encrypt ${unbound.length} value(s) in ${secretName} as a new version?`,
+      default: false
+    });
+    if (!confirmed) {
+      console.log('❌ Re-encryption cancelled by user.');
+      return { environment, secretName, status: 'cancelled', ok, keys: report };
+    }
+  }
+
+  const changeMetadata = await confirmProductionChange(environment, { ...options, secretName, nonInteractive });
+
+  console.log(`\n🔒 Re-encrypting with KMS alias: ${kmsAlias}`);
+  const changes = {};
+  for (const { key, plaintext, context } of unbound) {
+    changes[key] = await encryptWithKMS(plaintext, kmsAlias, { context });
+  }
+
+  const response = await updateSecretValues(secretName, changes, { ...changeMetadata, labelHint: 'reencrypt' });
+  await verifySecretUpdate(secretName, response.VersionId, async stored => {
+    for (const { key, plaintext, context } of unbound) {
+      if (await decryptWithKMS(stored[key], { context }) !== plaintext) {
+        throw new Error(`Decrypted ${key} does not match its previous value`);
+      }
+    }
+  }, { rollback: nonInteractive || force ? true : 'prompt', previousVersionId: response.PreviousVersionId });
+  await listSecretVersions(secretName);
+
+  return {
+    environment,
+    secretName,
+    status: 'completed',
+    ok,
+    keys: report,
+    changedKeys: Object.keys(changes),
+    versionId: response.VersionId,
+    changeTicket: changeMetadata.changeTicket
+  };
+}
+
+module.exports = {
+  classifyEncryptedValues,
+  reencryptSecretValues
+};
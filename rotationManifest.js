@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { getEnvironmentIds, getAppIds, assertChoice } = require('./config');
+const apple = require('./initiateAppleSecretRotation');
+const google = require('./initiateGoogleSecretRotation');
+const jwt = require('./initiateJwtPriv');
+
+// A manifest lists rotations to run in order, e.g.
+//
+//   defaults:
+//     env: dev
+//   rotations:
+//     - type: apple
+//       app: main
+//       clientId: com.example.app
+//       teamId: ABCDE12345
+//       keyPath: ./keys/AuthKey_MAIN.p8
+//       keyId: XYZ123ABCD
+//     - type: jwt
+//       alg: ES256
+//
+// Anything an entry leaves out falls back to the usual flags and environment
+// variables, then to a prompt (or an error with --no-input).
+const GUARD_FIELDS = ['changeTicket', 'confirmEnvironment', 'approvalToken'];
+const ROTATION_TYPES = {
+  apple: {
+    fields: ['env', 'app', 'clientId', 'teamId', 'keyPath', 'keyId', 'expiryDays'],
+    run: (entry, options) => apple.main({
+      ...options,
+      environment: entry.env,
+      app: entry.app,
+      config: { clientId: entry.clientId, teamId: entry.teamId, keyPath: entry.keyPath, keyId: entry.keyId, expiryDays: entry.expiryDays }
+    })
+  },
+  google: {
+    fields: ['env', 'app', 'clientJson', 'clientSecret', 'iosClientId', 'androidClientId'],
+    run: (entry, options) => google.main({
+      ...options,
+      environment: entry.env,
+      app: entry.app,
+      config: {
+        clientJson: entry.clientJson,
+        webClientSecret: entry.clientSecret,
+        iosClientId: entry.iosClientId,
+        androidClientId: entry.androidClientId
+      }
+    })
+  },
+  jwt: {
+    fields: ['env', 'alg', 'modulus', 'graceHours'],
+    run: (entry, options) => jwt.generateJWTKeys({
+      ...options,
+      environment: entry.env,
+      algorithm: entry.alg,
+      modulusLength: entry.modulus,
+      graceHours: entry.graceHours
+    })
+  },
+  'jwt-finalize': {
+    fields: ['env'],
+    run: (entry, options) => jwt.finalizeJwtRollover({ ...options, environment: entry.env })
+  }
+};
+
+function loadManifest(manifestPath) {
+  const resolvedPath = path.resolve(manifestPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Manifest not found: ${resolvedPath}`);
+  }
+
+  let manifest;
+  try {
+    const raw = fs.readFileSync(resolvedPath, 'utf8');
+    manifest = resolvedPath.endsWith('.json') ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new Error(`Failed to read manifest ${resolvedPath}: ${error.message}`);
+  }
+
+  return validateManifest(manifest, path.dirname(resolvedPath));
+}
+
+// Applies defaults, resolves key and client JSON paths against the manifest's directory and
+// rejects unknown types, unknown fields and invalid env/app values up front,
+// so a typo cannot fail a run halfway through
+function validateManifest(manifest, baseDir = process.cwd()) {
+  if (!manifest || !Array.isArray(manifest.rotations) || manifest.rotations.length === 0) {
+    throw new Error('Manifest must have a non-empty "rotations" list');
+  }
+  const defaults = manifest.defaults || {};
+
+  return manifest.rotations.map((rotation, index) => {
+    const label = `rotations[${index}]`;
+    const spec = ROTATION_TYPES[rotation && rotation.type];
+    if (!spec) {
+      throw new Error(`${label}: type must be one of ${Object.keys(ROTATION_TYPES).join(', ')}`);
+    }
+
+    const allowed = ['type', ...spec.fields, ...GUARD_FIELDS];
+    const unknown = Object.keys(rotation).filter(field => !allowed.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${label}: unknown field(s) for ${rotation.type}: ${unknown.join(', ')}`);
+    }
+
+    const entry = { ...rotation };
+    for (const field of [...spec.fields, ...GUARD_FIELDS]) {
+      if (entry[field] === undefined && defaults[field] !== undefined) {
+        entry[field] = defaults[field];
+      }
+    }
+    if (entry.env !== undefined) {
+      assertChoice(`${label}.env`, entry.env, getEnvironmentIds());
+    }
+    if (entry.app !== undefined) {
+      assertChoice(`${label}.app`, entry.app, getAppIds());
+    }
+    for (const field of ['keyPath', 'clientJson']) {
+      if (entry[field]) {
+        entry[field] = path.resolve(baseDir, entry[field]);
+      }
+    }
+    return entry;
+  });
+}
+
+function describeRotation(entry) {
+  return [entry.type, entry.env, entry.app].filter(Boolean).join(' ');
+}
+
+// Runs the rotations in order and stops at the first failure; the remaining
+// ones are reported as skipped
+async function runManifest(entries, options = {}) {
+  const results = [];
+  let failed = false;
+
+  for (const [index, entry] of entries.entries()) {
+    const description = describeRotation(entry);
+    if (failed) {
+      results.push({ index, rotation: description, status: 'skipped' });
+      continue;
+    }
+
+    console.log(`\n▶️  [${index + 1}/${entries.length}] ${description}`);
+    const guard = Object.fromEntries(GUARD_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]));
+    try {
+      const result = await ROTATION_TYPES[entry.type].run(entry, { ...options, ...guard });
+      results.push({ index, rotation: description, status: result ? 'completed' : 'cancelled', result: result || null });
+    } catch (error) {
+      console.error(`❌ ${description} failed: ${error.message}`);
+      results.push({ index, rotation: description, status: 'failed', error: error.message });
+      failed = true;
+    }
+  }
+
+  console.log('\n📋 Manifest summary:');
+  for (const result of results) {
+    const icon = { completed: '✅', cancelled: '⏹️ ', failed: '❌', skipped: '⏭️ ' }[result.status];
+    console.log(`   ${icon} ${result.rotation}: ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+  }
+
+  return { ok: !failed, results };
+}
+
+module.exports = {
+  ROTATION_TYPES,
+  loadManifest,
+  validateManifest,
+  runManifest
+};
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SecretsManagerClient, CreateSecretCommand, PutSecretValueCommand, GetSecretValueCommand, DescribeSecretCommand, ListSecretsCommand, ListSecretVersionIdsCommand, UpdateSecretVersionStageCommand, TagResourceCommand, UntagResourceCommand } = require('@aws-sdk/client-secrets-manager');
+const { KMSClient, EncryptCommand, DecryptCommand, GenerateDataKeyCommand } = require('@aws-sdk/client-kms');
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { resolveAwsSettings } = require('./config');
+
+// Every backend exposes the same operations, taking and returning the same
+// shapes as the matching AWS SDK commands:
+//   createSecret, getSecretValue, putSecretValue, describeSecret, listSecrets,
+//   listSecretVersionIds, updateSecretVersionStage, tagResource, untagResource,
+//   encrypt, decrypt, generateDataKey, getCallerIdentity
+
+const MAX_STAGING_LABELS = 20;
+const MAX_KMS_PLAINTEXT_BYTES = 4096;
+const DEFAULT_LOCAL_STORE = 'local-secret-store.json';
+// v1 blobs ("local-kms:v1:<alias>:<base64>") predate encryption contexts; v2
+// is base64 JSON { keyId, context, plaintext }
+const LOCAL_CIPHERTEXT_PREFIX = 'local-kms:v1:';
+const LOCAL_CIPHERTEXT_V2_PREFIX = 'local-kms:v2:';
+
+function createAwsBackend(options = {}) {
+  const { region, endpoint, profile } = options;
+  const clientConfig = { region };
+  if (endpoint) {
+    clientConfig.endpoint = endpoint;
+  }
+  if (profile) {
+    clientConfig.profile = profile;
+  }
+  const secretsManagerClient = new SecretsManagerClient(clientConfig);
+  const kmsClient = new KMSClient(clientConfig);
+  const stsClient = new STSClient(clientConfig);
+
+  return {
+    name: 'aws',
+    settings: { region, endpoint, profile },
+    createSecret: (params) => secretsManagerClient.send(new CreateSecretCommand(params)),
+    getSecretValue: (params) => secretsManagerClient.send(new GetSecretValueCommand(params)),
+    putSecretValue: (params) => secretsManagerClient.send(new PutSecretValueCommand(params)),
+    describeSecret: (params) => secretsManagerClient.send(new DescribeSecretCommand(params)),
+    listSecrets: (params) => secretsManagerClient.send(new ListSecretsCommand(params)),
+    listSecretVersionIds: (params) => secretsManagerClient.send(new ListSecretVersionIdsCommand(params)),
+    updateSecretVersionStage: (params) => secretsManagerClient.send(new UpdateSecretVersionStageCommand(params)),
+    tagResource: (params) => secretsManagerClient.send(new TagResourceCommand(params)),
+    untagResource: (params) => secretsManagerClient.send(new UntagResourceCommand(params)),
+    encrypt: (params) => kmsClient.send(new EncryptCommand(params)),
+    decrypt: (params) => kmsClient.send(new DecryptCommand(params)),
+    generateDataKey: (params) => kmsClient.send(new GenerateDataKeyCommand(params)),
+    getCallerIdentity: (params = {}) => stsClient.send(new GetCallerIdentityCommand(params))
+  };
+}
+
+function awsError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// File-backed stand-in for Secrets Manager and KMS. It follows the AWS staging
+// label rules (AWSCURRENT/AWSPREVIOUS rotation, the 20 label limit) and the
+// 4 KB KMS plaintext limit, so that rotations and cleanups can be rehearsed
+// without an AWS account. Ciphertext is NOT encrypted - it only records the key alias next to the plaintext.
+function createLocalBackend(options = {}) {
+  const { filePath = DEFAULT_LOCAL_STORE } = options;
+  const storePath = path.resolve(filePath);
+
+  function load() {
+    if (!fs.existsSync(storePath)) {
+      return { secrets: {} };
+    }
+    return JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  }
+
+  function save(store) {
+    fs.writeFileSync(storePath, JSON.stringify(store, null, 2));
+  }
+
+  function findSecret(store, secretId) {
+    const secret = store.secrets[secretId];
+    if (!secret) {
+      throw awsError('ResourceNotFoundException', `Secrets Manager can't find the specified secret: ${secretId}`);
+    }
+    return secret;
+  }
+
+  function findVersionWithStage(secret, stage) {
+    return Object.keys(secret.versions).find(versionId =>
+      secret.versions[versionId].stages.includes(stage)
+    );
+  }
+
+  function removeStage(secret, versionId, stage) {
+    const version = secret.versions[versionId];
+    version.stages = version.stages.filter(s => s !== stage);
+  }
+
+  function addStage(secret, versionId, stage) {
+    const version = secret.versions[versionId];
+    if (!version.stages.includes(stage)) {
+      version.stages.push(stage);
+    }
+  }
+
+  // Moving AWSCURRENT always pushes AWSPREVIOUS onto the version that held it
+  function moveCurrent(secret, toVersionId) {
+    const currentVersionId = findVersionWithStage(secret, 'AWSCURRENT');
+    if (currentVersionId === toVersionId) {
+      return;
+    }
+    if (currentVersionId) {
+      const previousVersionId = findVersionWithStage(secret, 'AWSPREVIOUS');
+      if (previousVersionId) {
+        removeStage(secret, previousVersionId, 'AWSPREVIOUS');
+      }
+      removeStage(secret, currentVersionId, 'AWSCURRENT');
+      addStage(secret, currentVersionId, 'AWSPREVIOUS');
+    }
+    if (secret.versions[toVersionId].stages.includes('AWSPREVIOUS')) {
+      removeStage(secret, toVersionId, 'AWSPREVIOUS');
+    }
+    addStage(secret, toVersionId, 'AWSCURRENT');
+  }
+
+  function assertLabelLimit(secret) {
+    const totalLabels = Object.values(secret.versions)
+      .reduce((total, version) => total + version.stages.length, 0);
+    if (totalLabels > MAX_STAGING_LABELS) {
+      throw awsError('LimitExceededException', 'You exceeded the maximum number of staging labels allowed on a secret.');
+    }
+  }
+
+  function wrapCiphertext(keyId, plaintext, context = {}) {
+    const payload = { keyId, context, plaintext: Buffer.from(plaintext).toString('base64') };
+    const blob = `${LOCAL_CIPHERTEXT_V2_PREFIX}${Buffer.from(JSON.stringify(payload), 'utf8').toString('base64')}`;
+    return new Uint8Array(Buffer.from(blob, 'utf8'));
+  }
+
+  function unwrapCiphertext(ciphertextBlob) {
+    const blob = Buffer.from(ciphertextBlob).toString('utf8');
+    if (blob.startsWith(LOCAL_CIPHERTEXT_V2_PREFIX)) {
+      return JSON.parse(Buffer.from(blob.substring(LOCAL_CIPHERTEXT_V2_PREFIX.length), 'base64').toString('utf8'));
+    }
+    if (blob.startsWith(LOCAL_CIPHERTEXT_PREFIX)) {
+      const separator = blob.lastIndexOf(':');
+      return { keyId: blob.substring(LOCAL_CIPHERTEXT_PREFIX.length, separator), context: {}, plaintext: blob.substring(separator + 1) };
+    }
+    throw awsError('InvalidCiphertextException', 'Ciphertext was not produced by the local backend');
+  }
+
+  // Like KMS, the context given to decrypt must match the one given to
+  // encrypt exactly; key order does not matter
+  function sameContext(a, b) {
+    const normalize = context => JSON.stringify(Object.entries(context).sort(([x], [y]) => x.localeCompare(y)));
+    return normalize(a) === normalize(b);
+  }
+
+  return {
+    name: 'local',
+
+    // Creates an empty secret; the first value comes with putSecretValue
+    async createSecret({ Name }) {
+      const store = load();
+      if (store.secrets[Name]) {
+        throw awsError('ResourceExistsException', `The operation failed because the secret ${Name} already exists.`);
+      }
+      store.secrets[Name] = { createdDate: new Date().toISOString(), versions: {} };
+      save(store);
+      return { Name };
+    },
+
+    async getSecretValue({ SecretId, VersionId, VersionStage }) {
+      const store = load();
+      const secret = findSecret(store, SecretId);
+      const versionId = VersionId || findVersionWithStage(secret, VersionStage || 'AWSCURRENT');
+      const version = versionId && secret.versions[versionId];
+      if (!version) {
+        throw awsError('ResourceNotFoundException', `Secrets Manager can't find the specified secret value for VersionId: ${VersionId}, VersionStage: ${VersionStage}`);
+      }
+      return {
+        Name: SecretId,
+        VersionId: versionId,
+        SecretString: version.secretString,
+        VersionStages: [...version.stages],
+        CreatedDate: new Date(version.createdDate)
+      };
+    },
+
+    async putSecretValue({ SecretId, SecretString, ClientRequestToken, VersionStages = ['AWSCURRENT'] }) {
+      const store = load();
+      if (!store.secrets[SecretId]) {
+        store.secrets[SecretId] = { createdDate: new Date().toISOString(), versions: {} };
+      }
+      const secret = store.secrets[SecretId];
+      const versionId = ClientRequestToken || crypto.randomUUID();
+      if (secret.versions[versionId]) {
+        throw awsError('ResourceExistsException', `A version with VersionId ${versionId} already exists`);
+      }
+      // Like AWS, the first version of a secret is always AWSCURRENT
+      if (!findVersionWithStage(secret, 'AWSCURRENT') && !VersionStages.includes('AWSCURRENT')) {
+        VersionStages = [...VersionStages, 'AWSCURRENT'];
+      }
+
+      secret.versions[versionId] = {
+        secretString: SecretString,
+        createdDate: new Date().toISOString(),
+        stages: []
+      };
+      for (const stage of VersionStages) {
+        if (stage === 'AWSCURRENT') {
+          moveCurrent(secret, versionId);
+          continue;
+        }
+        const holder = findVersionWithStage(secret, stage);
+        if (holder) {
+          removeStage(secret, holder, stage);
+        }
+        addStage(secret, versionId, stage);
+      }
+      assertLabelLimit(secret);
+
+      save(store);
+      return { Name: SecretId, VersionId: versionId, VersionStages: [...secret.versions[versionId].stages] };
+    },
+
+    async describeSecret({ SecretId }) {
+      const store = load();
+      const secret = findSecret(store, SecretId);
+      const versionIdsToStages = {};
+      for (const [versionId, version] of Object.entries(secret.versions)) {
+        // Like AWS, versions without staging labels are not reported
+        if (version.stages.length > 0) {
+          versionIdsToStages[versionId] = [...version.stages];
+        }
+      }
+      return {
+        Name: SecretId,
+        CreatedDate: new Date(secret.createdDate),
+        Tags: Object.entries(secret.tags || {}).map(([Key, Value]) => ({ Key, Value })),
+        VersionIdsToStages: versionIdsToStages
+      };
+    },
+
+    // Supports the "name" prefix filter; everything fits on one page
+    async listSecrets({ Filters = [] } = {}) {
+      const prefixes = Filters.filter(filter => filter.Key === 'name').flatMap(filter => filter.Values);
+      const names = Object.keys(load().secrets)
+        .filter(name => prefixes.length === 0 || prefixes.some(prefix => name.startsWith(prefix)))
+        .sort();
+      return { SecretList: names.map(name => ({ Name: name })) };
+    },
+
+    // Versions without labels are only listed with IncludeDeprecated, as on
+    // AWS; everything fits on one page
+    async listSecretVersionIds({ SecretId, IncludeDeprecated = false }) {
+      const secret = findSecret(load(), SecretId);
+      const versions = Object.entries(secret.versions)
+        .filter(([, version]) => IncludeDeprecated || version.stages.length > 0)
+        .map(([versionId, version]) => ({
+          VersionId: versionId,
+          VersionStages: [...version.stages],
+          CreatedDate: new Date(version.createdDate)
+        }));
+      return { Name: SecretId, Versions: versions };
+    },
+
+    async updateSecretVersionStage({ SecretId, VersionStage, MoveToVersionId, RemoveFromVersionId }) {
+      const store = load();
+      const secret = findSecret(store, SecretId);
+
+      for (const versionId of [MoveToVersionId, RemoveFromVersionId]) {
+        if (versionId && !secret.versions[versionId]) {
+          throw awsError('ResourceNotFoundException', `Secrets Manager can't find the specified version: ${versionId}`);
+        }
+      }
+
+      const holder = findVersionWithStage(secret, VersionStage);
+      if (RemoveFromVersionId && holder !== RemoveFromVersionId) {
+        throw awsError('InvalidParameterException', `The staging label ${VersionStage} is not attached to version ${RemoveFromVersionId}`);
+      }
+      if (MoveToVersionId && holder && holder !== MoveToVersionId && !RemoveFromVersionId) {
+        throw awsError('InvalidParameterException', `The staging label ${VersionStage} is currently attached to version ${holder}, so you must explicitly reference that version in RemoveFromVersionId`);
+      }
+
+      if (VersionStage === 'AWSCURRENT' && MoveToVersionId) {
+        moveCurrent(secret, MoveToVersionId);
+      } else {
+        if (RemoveFromVersionId) {
+          removeStage(secret, RemoveFromVersionId, VersionStage);
+        }
+        if (MoveToVersionId) {
+          addStage(secret, MoveToVersionId, VersionStage);
+        }
+      }
+      assertLabelLimit(secret);
+
+      save(store);
+      return { Name: SecretId };
+    },
+
+    async tagResource({ SecretId, Tags }) {
+      const store = load();
+      const secret = findSecret(store, SecretId);
+      secret.tags = secret.tags || {};
+      for (const { Key, Value } of Tags) {
+        secret.tags[Key] = Value;
+      }
+      save(store);
+      return {};
+    },
+
+    async untagResource({ SecretId, TagKeys }) {
+      const store = load();
+      const secret = findSecret(store, SecretId);
+      for (const key of TagKeys) {
+        delete (secret.tags || {})[key];
+      }
+      save(store);
+      return {};
+    },
+
+    async encrypt({ KeyId, Plaintext, EncryptionContext }) {
+      if (Buffer.byteLength(Plaintext) > MAX_KMS_PLAINTEXT_BYTES) {
+        throw awsError('ValidationException', `Plaintext must be at most ${MAX_KMS_PLAINTEXT_BYTES} bytes`);
+      }
+      return { KeyId, CiphertextBlob: wrapCiphertext(KeyId, Plaintext, EncryptionContext) };
+    },
+
+    async decrypt({ CiphertextBlob, EncryptionContext = {} }) {
+      const { keyId, context, plaintext } = unwrapCiphertext(CiphertextBlob);
+      if (!sameContext(context, EncryptionContext)) {
+        throw awsError('InvalidCiphertextException', 'The encryption context does not match the one the ciphertext was encrypted with');
+      }
+      return { KeyId: keyId, Plaintext: new Uint8Array(Buffer.from(plaintext, 'base64')) };
+    },
+
+    // Only KeySpec AES_256 (the one secretManager asks for) is supported
+    async generateDataKey({ KeyId, KeySpec, EncryptionContext }) {
+      if (KeySpec !== 'AES_256') {
+        throw awsError('ValidationException', `Unsupported KeySpec: ${KeySpec}`);
+      }
+      const plaintext = crypto.randomBytes(32);
+      return { KeyId, Plaintext: new Uint8Array(plaintext), CiphertextBlob: wrapCiphertext(KeyId, plaintext, EncryptionContext) };
+    },
+
+    // There are no credentials to identify, so the caller is the local user,
+    // or SECRET_BACKEND_CALLER_ARN when rehearsing a second approver
+    async getCallerIdentity() {
+      const arn = process.env.SECRET_BACKEND_CALLER_ARN || `arn:aws:iam::000000000000:user/${os.userInfo().username}`;
+      return { Account: arn.split(':')[4], Arn: arn, UserId: arn.split('/').pop() };
+    }
+  };
+}
+
+const backends = new Map();
+let activeEnvironment;
+
+// Selects the environment whose region/endpoint/profile settings are used by
+// every following getBackend() call
+function useEnvironment(environment) {
+  activeEnvironment = environment;
+}
+
+function getActiveEnvironment() {
+  return activeEnvironment;
+}
+
+// SECRET_BACKEND=local switches every script to the file-backed store, kept at
+// SECRET_BACKEND_FILE (default: ./local-secret-store.json)
+function getBackend() {
+  const cacheKey = activeEnvironment || '';
+  if (!backends.has(cacheKey)) {
+    backends.set(cacheKey, process.env.SECRET_BACKEND === 'local'
+      ? createLocalBackend({ filePath: process.env.SECRET_BACKEND_FILE })
+      : createAwsBackend(resolveAwsSettings(activeEnvironment)));
+  }
+  return backends.get(cacheKey);
+}
+
+module.exports = {
+  createAwsBackend,
+  createLocalBackend,
+  getBackend,
+  useEnvironment,
+  getActiveEnvironment,
+  MAX_STAGING_LABELS,
+  MAX_KMS_PLAINTEXT_BYTES
+};
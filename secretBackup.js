@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { confirm, password } = require('@inquirer/prompts');
+const { getBackend, useEnvironment, MAX_STAGING_LABELS } = require('./secretBackend');
+const { getEncryptedKeyNames, getEnvironmentForSecret, getKmsAlias, isNonInteractive, loadConfig } = require('./config');
+const { encryptWithKMS, decryptWithKMS, getEncryptionContext, generateTimestampLabel, listSecretVersions } = require('./secretManager');
+const { recordAuditEvent } = require('./auditLog');
+const { confirmProductionChange, recordApprovalUse } = require('./productionGuard');
+
+// A backup file is JSON: a readable header (secret, date, version count, how
+// it is encrypted) and the encrypted version history. Under a KMS key the
+// history is an envelope (see encryptWithKMS) bound to the source secret;
+// under a passphrase it is AES-256-GCM with an scrypt-derived key and the
+// header as additional authenticated data.
+const BACKUP_FORMAT = 'secret-rotator-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSPHRASE_LENGTH = 12;
+
+function backupContext(secretName) {
+  return { purpose: 'secret-backup', secretName };
+}
+
+// SECRET_BACKUP_PASSPHRASE, else a prompt (entered twice for a new backup)
+async function resolvePassphrase({ nonInteractive, repeat = false }) {
+  let passphrase = process.env.SECRET_BACKUP_PASSPHRASE;
+  if (!passphrase) {
+    if (nonInteractive) {
+      throw new Error('SECRET_BACKUP_PASSPHRASE is required for a passphrase-encrypted backup with --no-input');
+    }
+    passphrase = await password({
+      message: 'Backup passphrase:',
+      mask: '*',
+      validate: (value) => value.length >= MIN_PASSPHRASE_LENGTH || `Use at least ${MIN_PASSPHRASE_LENGTH} characters`
+    });
+    if (repeat && await password({ message: 'Repeat the passphrase:', mask: '*' }) !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  return passphrase;
+}
+
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_PARAMS.maxmem });
+}
+
+// Every version the secret still has, labeled or not, oldest first
+async function listAllVersionIds(secretName) {
+  const listed = [];
+  let nextToken;
+  do {
+    const response = await getBackend().listSecretVersionIds({ SecretId: secretName, IncludeDeprecated: true, NextToken: nextToken });
+    listed.push(...(response.Versions || []));
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return listed;
+}
+
+async function readVersionHistory(secretName) {
+  const listed = await listAllVersionIds(secretName);
+  const versions = [];
+  for (const version of listed) {
+    const response = await getBackend().getSecretValue({ SecretId: secretName, VersionId: version.VersionId });
+    versions.push({
+      versionId: version.VersionId,
+      stages: version.VersionStages || [],
+      createdDate: new Date(version.CreatedDate || response.CreatedDate).toISOString(),
+      secretString: response.SecretString
+    });
+  }
+  return versions.sort((a, b) => a.createdDate.localeCompare(b.createdDate));
+}
+
+function defaultBackupFile(secretName) {
+  const directory = (loadConfig().backup || {}).directory || '.';
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  return path.join(directory, `${secretName.replace(/[^A-Za-z0-9-]+/g, '-')}-${stamp}.backup.json`);
+}
+
+// Writes the full version history of `secretName` to one encrypted file.
+// `options.passphrase` encrypts under a passphrase instead of `kmsAlias`
+// (default: the environment's KMS alias).
+async function backupSecret(secretName, options = {}) {
+  const { nonInteractive = isNonInteractive() } = options;
+  const environment = options.environment || getEnvironmentForSecret(secretName);
+  useEnvironment(environment);
+  const file = path.resolve(options.file || defaultBackupFile(secretName));
+  if (fs.existsSync(file)) {
+    throw new Error(`Backup file already exists: ${file}`);
+  }
+
+  console.log(`\n💾 Backing up ${secretName}...`);
+  const versions = await readVersionHistory(secretName);
+  const header = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    secretName,
+    environment: environment || null,
+    createdAt: new Date().toISOString(),
+    versionCount: versions.length
+  };
+  const payload = JSON.stringify({ secretName, versions });
+
+  let backup;
+  if (options.passphrase) {
+    const passphrase = await resolvePassphrase({ nonInteractive, repeat: true });
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const sealedHeader = { ...header, encryption: { method: 'passphrase', kdf: 'scrypt', N, r, p, salt: salt.toString('base64') } };
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, { N, r, p }), iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(sealedHeader), 'utf8'));
+    const data = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+    backup = { ...sealedHeader, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  } else {
+    const kmsAlias = options.kmsAlias || getKmsAlias(environment);
+    backup = {
+      ...header,
+      encryption: { method: 'kms', kmsAlias },
+      data: await encryptWithKMS(payload, kmsAlias, { mode: 'envelope', context: backupContext(secretName) })
+    };
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(backup, null, 2) + '\n', { mode: 0o600 });
+  await recordAuditEvent({ action: 'secret.backup', secretName, file, versionCount: versions.length, encryption: backup.encryption.method });
+
+  console.log(`✅ ${versions.length} version(s) written to ${file} (${backup.encryption.method === 'kms' ? `KMS: ${backup.encryption.kmsAlias}` : 'passphrase'})`);
+  return { secretName, file, versionCount: versions.length, encryption: backup.encryption.method };
+}
+
+// Reads and decrypts a backup file. Returns its header and version history.
+async function readBackup(file, options = {}) {
+  const { nonInteractive = isNonInteractive() } = options;
+  const resolvedPath = path.resolve(file);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Backup file not found: ${resolvedPath}`);
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read backup ${resolvedPath}: ${error.message}`);
+  }
+  if (backup.format !== BACKUP_FORMAT || backup.formatVersion !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`${resolvedPath} is not a version ${BACKUP_FORMAT_VERSION} secret-rotator backup`);
+  }
+
+  let payload;
+  if (backup.encryption.method === 'passphrase') {
+    const { iv, tag, data, ...sealedHeader } = backup;
+    const { N, r, p, salt } = backup.encryption;
+    const passphrase = await resolvePassphrase({ nonInteractive });
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p }), Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(JSON.stringify(sealedHeader), 'utf8'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      payload = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Backup could not be decrypted - wrong passphrase or the file was modified');
+    }
+  } else {
+    // The KMS key is in the backed-up secret's environment
+    useEnvironment(backup.environment || getEnvironmentForSecret(backup.secretName));
+    payload = await decryptWithKMS(backup.data, { context: backupContext(backup.secretName) });
+  }
+
+  const { secretName, versions } = JSON.parse(payload);
+  if (secretName !== backup.secretName) {
+    throw new Error(`Backup header names ${backup.secretName} but its content is for ${secretName}`);
+  }
+  return { header: backup, versions };
+}
+
+// KMS-encrypted values are bound to the secret they were written to. When
+// restoring into another secret they are re-encrypted for it; values that do
+// not decrypt with the source context are copied as they are.
+async function rebindVersions(versions, source, target) {
+  const sourceKeys = getEncryptedKeyNames(source.environment);
+  const warnings = new Map();
+  const rebound = [];
+  for (const version of versions) {
+    const values = version.secretString ? JSON.parse(version.secretString) : {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!sourceKeys.includes(key) || !value) {
+        continue;
+      }
+      try {
+        useEnvironment(source.environment);
+        const plaintext = await decryptWithKMS(value, { context: getEncryptionContext(source.environment, source.secretName, key) });
+        useEnvironment(target.environment);
+        values[key] = await encryptWithKMS(plaintext, getKmsAlias(target.environment), {
+          context: getEncryptionContext(target.environment, target.secretName, key)
+        });
+      } catch (error) {
+        warnings.set(key, (warnings.get(key) || 0) + 1);
+      }
+    }
+    rebound.push({ ...version, secretString: JSON.stringify(values) });
+  }
+  useEnvironment(target.environment);
+  for (const [key, count] of warnings) {
+    console.warn(`⚠️  ${key} could not be re-encrypted for ${target.secretName} in ${count} version(s) and was copied as it is`);
+  }
+  return rebound;
+}
+
+// Whether a version the target secret already has holds the same values as
+// its backup copy. Across secrets the encrypted values differ by design, so
+// those are compared decrypted.
+async function sameVersionValue(secretString, version, source, target) {
+  if (secretString === version.secretString) {
+    return true;
+  }
+  if (source.secretName === target.secretName) {
+    return false;
+  }
+  const stored = secretString ? JSON.parse(secretString) : {};
+  const backedUp = version.secretString ? JSON.parse(version.secretString) : {};
+  if (Object.keys(stored).sort().join() !== Object.keys(backedUp).sort().join()) {
+    return false;
+  }
+  const encryptedKeys = getEncryptedKeyNames(source.environment);
+  try {
+    for (const [key, value] of Object.entries(backedUp)) {
+      if (stored[key] === value) {
+        continue;
+      }
+      if (!encryptedKeys.includes(key)) {
+        return false;
+      }
+      useEnvironment(source.environment);
+      const plaintext = await decryptWithKMS(value, { context: getEncryptionContext(source.environment, source.secretName, key) });
+      useEnvironment(target.environment);
+      if (await decryptWithKMS(stored[key], { context: getEncryptionContext(target.environment, target.secretName, key) }) !== plaintext) {
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    useEnvironment(target.environment);
+  }
+}
+
+async function moveLabel(secretName, label, toVersionId, holders) {
+  const holder = holders[label];
+  if (holder === toVersionId) {
+    return;
+  }
+  await getBackend().updateSecretVersionStage({
+    SecretId: secretName,
+    VersionStage: label,
+    MoveToVersionId: toVersionId,
+    RemoveFromVersionId: holder
+  });
+  holders[label] = toVersionId;
+}
+
+// Recreates the labeled versions of a backup, with their labels, in the
+// backed-up secret or in `options.secretName`. Versions that still exist are
+// reused; unlabeled versions stay in the file, since Secrets Manager would
+// drop them again. A current version that the backup does not contain keeps
+// a "pre-restore" timestamp label so it can be rolled back to. Older versions
+// that would take the secret past the staging label limit are skipped and
+// reported.
+async function restoreSecret(file, options = {}) {
+  const { dryRun = false, force = false, nonInteractive = isNonInteractive() } = options;
+  const { header, versions } = await readBackup(file, { nonInteractive });
+  const source = { secretName: header.secretName, environment: header.environment || getEnvironmentForSecret(header.secretName) };
+  const target = { secretName: options.secretName || header.secretName };
+  target.environment = options.environment || getEnvironmentForSecret(target.secretName);
+  useEnvironment(target.environment);
+
+  const labeled = versions.filter(version => version.stages.length > 0);
+  console.log(`\n♻️  Restoring ${header.secretName} (backup of ${header.createdAt}) into ${target.secretName}`);
+  console.log(`   ${labeled.length} labeled version(s) to restore, ${versions.length - labeled.length} unlabeled version(s) kept in the backup only`);
+
+  let existing = [];
+  let targetExists = true;
+  try {
+    existing = await listAllVersionIds(target.secretName);
+  } catch (error) {
+    if (error.name !== 'ResourceNotFoundException') {
+      throw error;
+    }
+    targetExists = false;
+  }
+  const existingIds = new Set(existing.map(version => version.VersionId));
+  const holders = {};
+  for (const version of existing) {
+    for (const stage of version.VersionStages || []) {
+      holders[stage] = version.VersionId;
+    }
+  }
+
+  const isCustomLabel = stage => !['AWSCURRENT', 'AWSPREVIOUS'].includes(stage);
+  // A new version with only AWSPREVIOUS needs a temporary label until
+  // AWSPREVIOUS can be moved onto it; every other new version is put with its
+  // own labels
+  const needsRestoreLabel = version => !existingIds.has(version.versionId)
+    && !version.stages.some(stage => stage === 'AWSCURRENT' || isCustomLabel(stage));
+  const currentHolder = holders.AWSCURRENT;
+  const keepCurrent = currentHolder && !labeled.some(version => version.versionId === currentHolder);
+
+  // Only the labels left at the end count against the limit: the secret's
+  // own, the backup's, AWSCURRENT/AWSPREVIOUS and the pre-restore label. The
+  // versions holding AWSCURRENT and AWSPREVIOUS come first, then the newest;
+  // whatever does not fit is skipped.
+  const finalLabels = new Set([...Object.keys(holders), 'AWSCURRENT', 'AWSPREVIOUS', ...(keepCurrent ? ['pre-restore'] : [])]);
+  const priority = version => (version.stages.includes('AWSCURRENT') ? 2 : version.stages.includes('AWSPREVIOUS') ? 1 : 0);
+  const selected = [];
+  const skipped = [];
+  let restoreLabels = 0;
+  for (const version of [...labeled].sort((a, b) => priority(b) - priority(a) || b.createdDate.localeCompare(a.createdDate))) {
+    const labels = new Set([...finalLabels, ...version.stages]);
+    const temporary = restoreLabels + (needsRestoreLabel(version) ? 1 : 0);
+    if (labels.size + temporary > MAX_STAGING_LABELS) {
+      skipped.push(version);
+      continue;
+    }
+    selected.push(version);
+    labels.forEach(label => finalLabels.add(label));
+    restoreLabels = temporary;
+  }
+  if (skipped.some(version => version.stages.includes('AWSCURRENT'))) {
+    throw new Error(`${target.secretName} has no staging labels left for the backup's AWSCURRENT version - run a cleanup first`);
+  }
+
+  console.log(`\n📋 Restore Plan:${targetExists ? '' : ` (creates ${target.secretName})`}`);
+  for (const version of labeled) {
+    const action = skipped.includes(version) ? '⏭️  skip   ' : existingIds.has(version.versionId) ? '🏷️  relabel' : '➕ create ';
+    console.log(`   ${action} ${version.versionId.substring(0, 8)}... ${version.createdDate} ${version.stages.join(', ')}`);
+  }
+  if (keepCurrent) {
+    console.log(`   🏷️  keep     ${currentHolder.substring(0, 8)}... (current AWSCURRENT, gets a pre-restore label)`);
+  }
+  if (skipped.length > 0) {
+    console.log(`\n⚠️  ${skipped.length} older version(s) would exceed the ${MAX_STAGING_LABELS} staging label limit and are skipped - run a cleanup and restore again to get them back`);
+  }
+
+  const plan = {
+    sourceSecret: header.secretName,
+    secretName: target.secretName,
+    versions: selected.map(({ versionId, stages }) => ({ versionId, stages, exists: existingIds.has(versionId) })),
+    skipped: skipped.map(({ versionId, stages }) => ({ versionId, stages }))
+  };
+  if (dryRun) {
+    console.log('\n🔍 DRY RUN - No actual changes made.');
+    return { ...plan, status: 'dry-run' };
+  }
+  if (!force) {
+    const confirmed = await confirm({ message: `Restore ${selected.length} version(s) into ${target.secretName}?`, default: false });
+    if (!confirmed) {
+      console.log('❌ Restore cancelled by user.');
+      return { ...plan, status: 'cancelled' };
+    }
+  }
+  const changeMetadata = await confirmProductionChange(target.environment, { ...options, secretName: target.secretName, nonInteractive });
+
+  for (const version of selected.filter(candidate => existingIds.has(candidate.versionId))) {
+    const response = await getBackend().getSecretValue({ SecretId: target.secretName, VersionId: version.versionId });
+    if (!await sameVersionValue(response.SecretString, version, source, target)) {
+      throw new Error(`Version ${version.versionId} of ${target.secretName} exists with a different value than in the backup - nothing was restored`);
+    }
+  }
+  // Only versions that are written need their values re-encrypted
+  const newVersions = selected.filter(version => !existingIds.has(version.versionId));
+  const rebound = target.secretName === source.secretName ? newVersions : await rebindVersions(newVersions, source, target);
+  const toRestore = labeled
+    .filter(version => selected.includes(version))
+    .map(version => rebound.find(candidate => candidate.versionId === version.versionId) || version);
+  // The first version of a secret becomes AWSCURRENT whatever its labels, so a
+  // new secret starts with the backup's AWSCURRENT version
+  if (!targetExists) {
+    toRestore.sort((a, b) => Number(b.stages.includes('AWSCURRENT')) - Number(a.stages.includes('AWSCURRENT')));
+  }
+  if (!targetExists) {
+    await getBackend().createSecret({ Name: target.secretName });
+    if (changeMetadata.approvalNonce) {
+      await recordApprovalUse(target.secretName, changeMetadata);
+    }
+  }
+  if (keepCurrent) {
+    const label = generateTimestampLabel('pre-restore', Object.keys(holders));
+    await moveLabel(target.secretName, label, currentHolder, holders);
+    console.log(`🏷️  Current version ${currentHolder.substring(0, 8)}... labeled ${label}`);
+  }
+
+  async function putVersion(version, stages) {
+    await getBackend().putSecretValue({
+      SecretId: target.secretName,
+      SecretString: version.secretString,
+      ClientRequestToken: version.versionId,
+      VersionStages: stages
+    });
+    // Making a version AWSCURRENT pushes AWSPREVIOUS onto the one that had it.
+    // The first version of a secret is always made AWSCURRENT.
+    if (stages.includes('AWSCURRENT') && holders.AWSCURRENT) {
+      holders.AWSPREVIOUS = holders.AWSCURRENT;
+    }
+    if (stages.includes('AWSCURRENT') || !holders.AWSCURRENT) {
+      holders.AWSCURRENT = version.versionId;
+    }
+    stages.filter(isCustomLabel).forEach(label => {
+      holders[label] = version.versionId;
+    });
+  }
+
+  // A new version that becomes AWSCURRENT of an existing secret is put last,
+  // so the secret keeps its current value until everything else is in place
+  const deferredCurrent = toRestore.find(version => version.stages.includes('AWSCURRENT') && targetExists && !existingIds.has(version.versionId));
+  let pendingRestoreLabel = null;
+  for (const version of toRestore.filter(candidate => candidate !== deferredCurrent)) {
+    const customLabels = version.stages.filter(isCustomLabel);
+    if (!existingIds.has(version.versionId)) {
+      const stages = version.stages.filter(stage => stage !== 'AWSPREVIOUS');
+      if (needsRestoreLabel(version)) {
+        pendingRestoreLabel = { label: `restore-${version.versionId.substring(0, 8)}`, versionId: version.versionId };
+        stages.push(pendingRestoreLabel.label);
+      }
+      await putVersion(version, stages);
+    } else {
+      for (const label of customLabels) {
+        await moveLabel(target.secretName, label, version.versionId, holders);
+      }
+    }
+    console.log(`${existingIds.has(version.versionId) ? '🏷️  Relabeled' : '➕ Restored'} ${version.versionId.substring(0, 8)}... (${version.stages.join(', ')})`);
+  }
+
+  // AWSPREVIOUS is put back once AWSCURRENT is in place
+  const current = toRestore.find(candidate => candidate.stages.includes('AWSCURRENT'));
+  if (current && current === deferredCurrent) {
+    await putVersion(current, [...current.stages]);
+    console.log(`➕ Restored ${current.versionId.substring(0, 8)}... (${current.stages.join(', ')})`);
+  } else if (current && holders.AWSCURRENT !== current.versionId) {
+    holders.AWSPREVIOUS = holders.AWSCURRENT;
+    await moveLabel(target.secretName, 'AWSCURRENT', current.versionId, holders);
+  }
+  const previous = toRestore.find(candidate => candidate.stages.includes('AWSPREVIOUS'));
+  if (previous) {
+    await moveLabel(target.secretName, 'AWSPREVIOUS', previous.versionId, holders);
+  }
+  if (pendingRestoreLabel) {
+    await getBackend().updateSecretVersionStage({ SecretId: target.secretName, VersionStage: pendingRestoreLabel.label, RemoveFromVersionId: pendingRestoreLabel.versionId });
+  }
+
+  await recordAuditEvent({
+    action: 'secret.restore',
+    secretName: target.secretName,
+    sourceSecret: header.secretName,
+    backupCreatedAt: header.createdAt,
+    versionIds: toRestore.map(version => version.versionId),
+    skippedVersionIds: skipped.map(version => version.versionId),
+    ...changeMetadata
+  });
+  console.log('\n✅ Restore completed successfully!');
+  await listSecretVersions(target.secretName);
+
+  return { ...plan, status: 'completed', changeTicket: changeMetadata.changeTicket };
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  readVersionHistory,
+  backupSecret,
+  readBackup,
+  restoreSecret
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// JWT fields worth surfacing when comparing two decrypted tokens
+const JWT_HEADER_FIELDS = ['kid', 'alg'];
+const JWT_CLAIM_FIELDS = ['iss', 'sub', 'aud', 'iat', 'exp'];
+const JWT_TIME_CLAIMS = ['iat', 'exp'];
+
+// Short, non-reversible stand-in for a secret value that is safe to paste into
+// a ticket. Equal values always produce equal fingerprints.
+function fingerprintValue(value) {
+  const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+  return `sha256:${crypto.createHash('sha256').update(serialized, 'utf8').digest('hex').substring(0, 12)}`;
+}
+
+// Decodes a compact JWT without verifying it. Returns null for anything else.
+function decodeJwt(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatClaim(name, value) {
+  if (value === undefined) {
+    return '(none)';
+  }
+  if (JWT_TIME_CLAIMS.includes(name) && typeof value === 'number') {
+    return `${value} (${new Date(value * 1000).toISOString()})`;
+  }
+  return JSON.stringify(value);
+}
+
+// Header and claim fields that differ between two JWTs
+function diffJwtClaims(fromToken, toToken) {
+  const from = decodeJwt(fromToken);
+  const to = decodeJwt(toToken);
+  if (!from || !to) {
+    return null;
+  }
+
+  const changes = [];
+  for (const field of JWT_HEADER_FIELDS) {
+    if (JSON.stringify(from.header[field]) !== JSON.stringify(to.header[field])) {
+      changes.push({ field: `header.${field}`, from: formatClaim(field, from.header[field]), to: formatClaim(field, to.header[field]) });
+    }
+  }
+  for (const field of JWT_CLAIM_FIELDS) {
+    if (JSON.stringify(from.payload[field]) !== JSON.stringify(to.payload[field])) {
+      changes.push({ field, from: formatClaim(field, from.payload[field]), to: formatClaim(field, to.payload[field]) });
+    }
+  }
+  return changes;
+}
+
+// Key names that differ between two sets of secret values (never the values)
+function compareSecretKeys(fromValues, toValues) {
+  const added = Object.keys(toValues).filter(key => !(key in fromValues));
+  const removed = Object.keys(fromValues).filter(key => !(key in toValues));
+  const changed = Object.keys(toValues).filter(key => key in fromValues && fromValues[key] !== toValues[key]);
+  return { added, removed, changed };
+}
+
+// Key-level diff of two secret versions. Values are only ever reported as
+// fingerprints.
+function diffSecretValues(fromValues, toValues) {
+  const keyChanges = compareSecretKeys(fromValues, toValues);
+  return {
+    added: keyChanges.added.map(key => ({ key, fingerprint: fingerprintValue(toValues[key]) })),
+    removed: keyChanges.removed.map(key => ({ key, fingerprint: fingerprintValue(fromValues[key]) })),
+    changed: keyChanges.changed.map(key => ({
+      key,
+      from: fingerprintValue(fromValues[key]),
+      to: fingerprintValue(toValues[key])
+    })),
+    unchanged: Object.keys(toValues).filter(key => key in fromValues && fromValues[key] === toValues[key])
+  };
+}
+
+module.exports = {
+  compareSecretKeys,
+  fingerprintValue,
+  decodeJwt,
+  formatClaim,
+  diffJwtClaims,
+  diffSecretValues
+};
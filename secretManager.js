@@ -1,47 +1,232 @@
-const { SecretsManagerClient, PutSecretValueCommand, GetSecretValueCommand, DescribeSecretCommand, UpdateSecretVersionStageCommand } = require('@aws-sdk/client-secrets-manager');
-const secretsManagerClient = new SecretsManagerClient({ region: 'us-east-2' });
-const { KMSClient, EncryptCommand } = require('@aws-sdk/client-kms');
+const crypto = require('crypto');
+const { confirm } = require('@inquirer/prompts');
+const { getBackend, MAX_STAGING_LABELS, MAX_KMS_PLAINTEXT_BYTES } = require('./secretBackend');
+const { loadConfig, getEnvironmentForSecret, getSecretSchema } = require('./config');
+const { ENCRYPTION_MODES } = require('./configSchema');
+const { recordAuditEvent, fingerprintKeys } = require('./auditLog');
+const { getCleanupDefaults, identifyVersionsToCleanupByRetention } = require('./labelRetention');
+const { checkSecretValues, findNewViolations, formatViolations } = require('./secretSchema');
 
+// Envelope ciphertext: "kms-envelope:v1:" followed by base64 JSON
+//   { "alg": "AES-256-GCM", "key": <KMS CiphertextBlob of the data key>,
+//     "iv": <12 bytes>, "tag": <16 bytes>, "data": <ciphertext> }
+// with every binary field base64. The prefix is passed to GCM as additional
+// authenticated data. Raw CiphertextBlob base64 never contains ":", so the
+// two formats cannot be confused.
+const ENVELOPE_PREFIX = 'kms-envelope:v1:';
+const ENVELOPE_ALGORITHM = 'AES-256-GCM';
 
-const kmsClient = new KMSClient({ region: 'us-east-2' });
+// "encryption.mode" in the config file, overridden by SECRET_ENCRYPTION_MODE.
+// "auto" (the default) only uses an envelope for values KMS cannot take
+// directly, so existing values keep today's format.
+function getEncryptionMode() {
+  const mode = process.env.SECRET_ENCRYPTION_MODE || (loadConfig().encryption || {}).mode || 'auto';
+  if (!ENCRYPTION_MODES.includes(mode)) {
+    throw new Error(`Unknown encryption mode "${mode}" - use ${ENCRYPTION_MODES.join(', ')}`);
+  }
+  return mode;
+}
 
-async function encryptWithKMS(plaintext, keyAlias) {
+function isEnvelopeCiphertext(ciphertext) {
+  return typeof ciphertext === 'string' && ciphertext.startsWith(ENVELOPE_PREFIX);
+}
+
+async function encryptEnvelope(plaintext, keyAlias, context) {
+  const dataKey = await getBackend().generateDataKey({ KeyId: keyAlias, KeySpec: 'AES_256', EncryptionContext: context });
+  const key = Buffer.from(dataKey.Plaintext);
   try {
-    const command = new EncryptCommand({
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(ENVELOPE_PREFIX, 'utf8'));
+    const data = Buffer.concat([cipher.update(Buffer.from(plaintext, 'utf8')), cipher.final()]);
+    const envelope = {
+      alg: ENVELOPE_ALGORITHM,
+      key: Buffer.from(dataKey.CiphertextBlob).toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    return ENVELOPE_PREFIX + Buffer.from(JSON.stringify(envelope), 'utf8').toString('base64');
+  } finally {
+    key.fill(0);
+  }
+}
+
+async function decryptEnvelope(ciphertext, context) {
+  let envelope;
+  try {
+    envelope = JSON.parse(Buffer.from(ciphertext.substring(ENVELOPE_PREFIX.length), 'base64').toString('utf8'));
+  } catch (error) {
+    throw new Error('malformed envelope');
+  }
+  if (envelope.alg !== ENVELOPE_ALGORITHM) {
+    throw new Error(`unsupported envelope algorithm "${envelope.alg}"`);
+  }
+
+  const response = await getBackend().decrypt({ CiphertextBlob: Buffer.from(envelope.key, 'base64'), EncryptionContext: context });
+  const key = Buffer.from(response.Plaintext);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(ENVELOPE_PREFIX, 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('envelope failed authentication');
+  } finally {
+    key.fill(0);
+  }
+}
+
+// The KMS encryption context for a value stored under `keyName` in
+// `secretName`. KMS only decrypts it when given the same context, so a
+// ciphertext copied to another key, secret or environment no longer decrypts.
+function getEncryptionContext(environment, secretName, keyName) {
+  return { environment, secretName, keyName };
+}
+
+// `options.mode` ("auto", "direct" or "envelope") overrides the configured
+// mode. "direct" fails for values over the KMS limit rather than silently
+// switching format. `options.context` (see getEncryptionContext) binds the
+// ciphertext to where it is stored.
+async function encryptWithKMS(plaintext, keyAlias, options = {}) {
+  const { context } = options;
+  const mode = options.mode || getEncryptionMode();
+  const useEnvelope = mode === 'envelope'
+    || (mode === 'auto' && Buffer.byteLength(plaintext, 'utf8') > MAX_KMS_PLAINTEXT_BYTES);
+
+  try {
+    if (useEnvelope) {
+      return await encryptEnvelope(plaintext, keyAlias, context);
+    }
+    const response = await getBackend().encrypt({
       KeyId: keyAlias,
-      Plaintext: Buffer.from(plaintext, 'utf8')
+      Plaintext: Buffer.from(plaintext, 'utf8'),
+      EncryptionContext: context
     });
-    
-    const response = await kmsClient.send(command);
     return Buffer.from(response.CiphertextBlob).toString('base64');
   } catch (error) {
     throw new Error(`KMS encryption failed: ${error.message}`);
   }
 }
 
-function generateTimestampLabel() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
+// Accepts both envelope ciphertext and raw CiphertextBlob base64.
+// `options.context` must be the context the value was encrypted with.
+async function decryptWithKMS(ciphertextBase64, options = {}) {
+  const { context } = options;
+  try {
+    if (isEnvelopeCiphertext(ciphertextBase64)) {
+      return await decryptEnvelope(ciphertextBase64, context);
+    }
+    const response = await getBackend().decrypt({
+      CiphertextBlob: Buffer.from(ciphertextBase64, 'base64'),
+      EncryptionContext: context
+    });
+    return Buffer.from(response.Plaintext).toString('utf8');
+  } catch (error) {
+    if (context && context.keyName && error.name === 'InvalidCiphertextException') {
+      throw new Error(`KMS decryption failed: value is not bound to ${context.keyName} in ${context.secretName} - it was copied from elsewhere, or predates encryption contexts (run "secret-rotator reencrypt")`);
+    }
+    throw new Error(`KMS decryption failed: ${error.message}`);
+  }
+}
+
+// "20251019T082412041Z-3fa9[-hint]": UTC to the millisecond plus a random
+// suffix, so labels sort by time and back-to-back writes or two operators
+// never produce the same label. `takenLabels` are the labels already on the
+// secret. The hint (e.g. "jwt-Ab12Cd34") is cut down to 24 letters, digits
+// and dashes.
+function generateTimestampLabel(hint, takenLabels = []) {
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const suffix = hint
+    ? String(hint).replace(/[^A-Za-z0-9]+/g, '-').substring(0, 24).replace(/^-+|-+$/g, '')
+    : '';
+  
+  let label;
+  do {
+    label = `${stamp}-${crypto.randomBytes(2).toString('hex')}${suffix ? `-${suffix}` : ''}`;
+  } while (takenLabels.includes(label));
+  return label;
+}
+
+async function removeStagingLabel(secretName, versionId, label, auditDetails = {}) {
+  await getBackend().updateSecretVersionStage({
+    SecretId: secretName,
+    VersionStage: label,
+    RemoveFromVersionId: versionId
+  });
+  console.log(`✅ Removed label "${label}" from version ${versionId.substring(0, 8)}...`);
+  await recordAuditEvent({
+    action: 'label.remove',
+    secretName,
+    label,
+    versionId,
+    ...auditDetails
+  });
+}
+
+// "labelBudget" in the config file: { "autoPrune": true, "retention": {...} }.
+// The retention policy falls back to "cleanup.retention".
+// SECRET_ROTATOR_AUTO_PRUNE=false turns pruning off.
+function getLabelBudgetSettings() {
+  const labelBudget = loadConfig().labelBudget || {};
+  const autoPruneEnv = process.env.SECRET_ROTATOR_AUTO_PRUNE;
+  return {
+    autoPrune: autoPruneEnv !== undefined ? autoPruneEnv !== 'false' : labelBudget.autoPrune !== false,
+    retention: { ...getCleanupDefaults().retention, ...labelBudget.retention }
+  };
+}
+
+// A write adds one label: the timestamp label on the outgoing version. If
+// that would exceed the limit, the oldest timestamp labels the retention
+// policy would drop anyway are removed first - only as many as needed. Fails
+// before writing when no room can be made, so the write never goes ahead
+// without its rollback label. Labels on `keepVersionId` are never pruned.
+async function ensureLabelBudget(secretName, keepVersionId) {
+  let secretInfo;
+  try {
+    secretInfo = await getBackend().describeSecret({ SecretId: secretName });
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return;
+    }
+    throw error;
+  }
+  
+  const versions = secretInfo.VersionIdsToStages || {};
+  const totalLabels = Object.values(versions).reduce((total, labels) => total + labels.length, 0);
+  const needed = totalLabels + 1 - MAX_STAGING_LABELS;
+  if (needed <= 0) {
+    return;
+  }
+  
+  console.log(`\n⚠️  ${secretName} has ${totalLabels}/${MAX_STAGING_LABELS} labels - no room for the rollback label of this write`);
+  const settings = getLabelBudgetSettings();
+  if (!settings.autoPrune) {
+    throw new Error(`${secretName} is at the ${MAX_STAGING_LABELS}-label limit and labelBudget.autoPrune is off - run a cleanup first`);
+  }
+  
+  const candidates = Object.fromEntries(Object.entries(versions).filter(([versionId]) => versionId !== keepVersionId));
+  const plan = identifyVersionsToCleanupByRetention(candidates, settings.retention);
+  const toPrune = plan.toRemoveLabels.slice().reverse().slice(0, needed);
+  if (toPrune.length < needed) {
+    throw new Error(`${secretName} is at the ${MAX_STAGING_LABELS}-label limit and only ${toPrune.length} label(s) can be pruned - run a cleanup first`);
+  }
   
-  return `${year}${month}${day}_${hours}${minutes}${seconds}`;
+  console.log(`✂️  Pruning ${toPrune.length} oldest timestamp label(s) under the retention policy...`);
+  for (const { versionId, label } of toPrune) {
+    await removeStagingLabel(secretName, versionId, label, { reason: 'label-budget' });
+  }
 }
 
-async function labelPreviousVersionWithTimestamp(secretName) {
+async function labelPreviousVersionWithTimestamp(secretName, labelHint) {
   try {
     console.log(`🏷️  Labeling previous version of ${secretName} with timestamp...`);
     
     // Get current secret information
-    const describeCommand = new DescribeSecretCommand({
+    const secretInfo = await getBackend().describeSecret({
       SecretId: secretName
     });
     
-    const secretInfo = await secretsManagerClient.send(describeCommand);
-    
     // Find the previous version (AWSPREVIOUS)
     const previousVersionId = Object.keys(secretInfo.VersionIdsToStages || {}).find(versionId => 
       secretInfo.VersionIdsToStages[versionId].includes('AWSPREVIOUS')
@@ -53,18 +238,23 @@ async function labelPreviousVersionWithTimestamp(secretName) {
     }
     
     // Generate timestamp label
-    const timestampLabel = generateTimestampLabel();
+    const takenLabels = Object.values(secretInfo.VersionIdsToStages || {}).flat();
+    const timestampLabel = generateTimestampLabel(labelHint, takenLabels);
     console.log(`📅 Generated timestamp label: ${timestampLabel}`);
     
     // Add timestamp label to previous version (keeping AWSPREVIOUS as well)
-    const updateCommand = new UpdateSecretVersionStageCommand({
+    await getBackend().updateSecretVersionStage({
       SecretId: secretName,
       VersionStage: timestampLabel,
       MoveToVersionId: previousVersionId
     });
-    
-    await secretsManagerClient.send(updateCommand);
     console.log(`✅ Previous version ${previousVersionId} labeled with ${timestampLabel}`);
+    await recordAuditEvent({
+      action: 'label.add',
+      secretName,
+      label: timestampLabel,
+      versionId: previousVersionId
+    });
     
     return timestampLabel;
   } catch (error) {
@@ -74,61 +264,123 @@ async function labelPreviousVersionWithTimestamp(secretName) {
 }
 
 
-async function getCurrentSecretValues(secretName) {
+// AWSCURRENT's values and version ID, read together; a secret that does not
+// exist yet has no version and no values
+async function readCurrentSecret(secretName) {
     try {
-      const command = new GetSecretValueCommand({
+      const response = await getBackend().getSecretValue({
         SecretId: secretName
       });
       
-      const response = await secretsManagerClient.send(command);
-      
-      if (response.SecretString) {
-        return JSON.parse(response.SecretString);
-      } else {
-        // If secret doesn't exist or is empty, return empty object
-        return {};
-      }
+      return {
+        versionId: response.VersionId,
+        values: response.SecretString ? JSON.parse(response.SecretString) : {}
+      };
     } catch (error) {
       if (error.name === 'ResourceNotFoundException') {
         console.log(`Secret ${secretName} not found, will create new one`);
-        return {};
+        return { versionId: undefined, values: {} };
       }
       throw new Error(`Failed to retrieve current secret values: ${error.message}`);
     }
   }
 
+async function getCurrentSecretValues(secretName) {
+    return (await readCurrentSecret(secretName)).values;
+  }
+
   async function updateSecretValue(secretName, key, value) {
+    return updateSecretValues(secretName, { [key]: value });
+  }
+
+  // Applies every key in `changes` as a single PutSecretValue call, so the whole
+  // set lands in one new version (and one timestamp label) or not at all.
+  // A value of null removes the key. A change that would add a problem to the
+  // secret's schema (see secretSchema.js) is refused; problems the secret
+  // already has are only reported. `metadata` (changeTicket, approvedBy,
+  // approvalNonce from productionGuard) is recorded with the change;
+  // `metadata.labelHint` goes into the outgoing version's timestamp label.
+  // The response carries `PreviousVersionId`, the version that was AWSCURRENT
+  // before the write (undefined for a new secret), for verifySecretUpdate.
+  async function updateSecretValues(secretName, changes, metadata = {}) {
+    const { labelHint, ...changeMetadata } = metadata;
+    const changedKeys = Object.keys(changes);
+    if (changedKeys.length === 0) {
+      throw new Error('Failed to update secret: no keys to update');
+    }
+
     try {
       console.log(`\n🔄 Starting secret update process for ${secretName}...`);
       
       // Step 1: Get current secret values
       console.log(`\n📥 Retrieving current values from ${secretName}...`);
-      const currentValues = await getCurrentSecretValues(secretName);
+      const { versionId: previousVersionId, values: currentValues } = await readCurrentSecret(secretName);
       console.log('Current secret keys:', Object.keys(currentValues));
+      const schema = getSecretSchema(getEnvironmentForSecret(secretName));
+      const previousViolations = checkSecretValues(currentValues, schema);
       
-      // Step 2: Update the specific key
-      currentValues[key] = value;
-      console.log(`✏️  Updated key '${key}' in secret`);
+      // Step 2: Apply all key changes in memory
+      for (const key of changedKeys) {
+        if (changes[key] === null) {
+          delete currentValues[key];
+          console.log(`🗑️  Removed key '${key}' from secret`);
+        } else {
+          currentValues[key] = changes[key];
+          console.log(`✏️  Updated key '${key}' in secret`);
+        }
+      }
+      
+      const violations = checkSecretValues(currentValues, schema);
+      const newViolations = findNewViolations(previousViolations, violations);
+      if (newViolations.length > 0) {
+        throw new Error(`the change breaks the schema of ${secretName}:\n  - ${formatViolations(newViolations)}`);
+      }
+      if (violations.length > 0) {
+        console.warn(`⚠️  ${secretName} still has ${violations.length} schema problem(s) - run "secret-rotator lint" for details`);
+      }
+      
+      // Make sure the outgoing version can still get its timestamp label
+      await ensureLabelBudget(secretName);
       
       // Step 3: Save updated values back to secret (this creates new AWSCURRENT and moves old to AWSPREVIOUS)
       console.log(`\n💾 Saving updated values to ${secretName}...`);
-      const command = new PutSecretValueCommand({
+      const response = await getBackend().putSecretValue({
         SecretId: secretName,
         SecretString: JSON.stringify(currentValues, null, 2)
       });
-      
-      const response = await secretsManagerClient.send(command);
       console.log(`✅ Secret updated successfully in ${secretName}:`);
       console.log(`   - New version ID: ${response.VersionId}`);
       console.log(`   - New version labeled as AWSCURRENT`);
+      console.log(`   - Keys changed: ${changedKeys.join(', ')}`);
+      await recordAuditEvent({
+        action: 'secret.update',
+        secretName,
+        keys: changedKeys,
+        versionId: response.VersionId,
+        fingerprints: fingerprintKeys(changes, changedKeys),
+        ...changeMetadata
+      });
+      
+      // Secrets Manager has no per-version metadata, so the ticket is tagged on
+      // the secret together with the version it belongs to
+      if (changeMetadata.changeTicket) {
+        await getBackend().tagResource({
+          SecretId: secretName,
+          Tags: [
+            { Key: 'ChangeTicket', Value: changeMetadata.changeTicket },
+            { Key: 'ChangeTicketVersionId', Value: response.VersionId }
+          ]
+        });
+        console.log(`   - Tagged with change ticket ${changeMetadata.changeTicket}`);
+      }
       
       // Step 4: Label the previous version with timestamp (now that it's AWSPREVIOUS)
       console.log(`\n🏷️  Adding timestamp label to previous version...`);
-      await labelPreviousVersionWithTimestamp(secretName);
+      await labelPreviousVersionWithTimestamp(secretName, labelHint);
       
       console.log(`✅ Update process completed successfully!`);
       
-      return response;
+      return { ...response, PreviousVersionId: previousVersionId };
     } catch (error) {
       throw new Error(`Failed to update secret: ${error.message}`);
     }
@@ -136,12 +388,10 @@ async function getCurrentSecretValues(secretName) {
 
   async function listSecretVersions(secretName) {
     try {
-      const command = new DescribeSecretCommand({
+      const response = await getBackend().describeSecret({
         SecretId: secretName
       });
       
-      const response = await secretsManagerClient.send(command);
-      
       console.log(`\n📚 Secret versions for ${secretName}:`);
       console.log('Version ID'.padEnd(36) + ' | ' + 'Labels');
       console.log('-'.repeat(50));
@@ -155,10 +405,185 @@ async function getCurrentSecretValues(secretName) {
       throw new Error(`Failed to list secret versions: ${error.message}`);
     }
   }
+
+
+  // Names of every secret whose name starts with `prefix` (all secrets when
+  // empty), following ListSecrets pagination
+  async function listSecretNames(prefix = '') {
+    const names = [];
+    let nextToken;
+    do {
+      const response = await getBackend().listSecrets({
+        ...(prefix ? { Filters: [{ Key: 'name', Values: [prefix] }] } : {}),
+        ...(nextToken ? { NextToken: nextToken } : {})
+      });
+      names.push(...(response.SecretList || []).map(secret => secret.Name));
+      nextToken = response.NextToken;
+    } while (nextToken);
+    return names;
+  }
+
+  // Resolves a staging label (e.g. "20250709_143530", "AWSPREVIOUS") or a
+  // version ID to the version it points at
+  async function resolveSecretVersion(secretName, versionRef) {
+    const response = await getBackend().describeSecret({
+      SecretId: secretName
+    });
+    const versions = response.VersionIdsToStages || {};
+    
+    if (versions[versionRef]) {
+      return { versionId: versionRef, labels: versions[versionRef] };
+    }
+    
+    const versionId = Object.keys(versions).find(id => versions[id].includes(versionRef));
+    if (!versionId) {
+      throw new Error(`No version of ${secretName} has version ID or label "${versionRef}"`);
+    }
+    return { versionId, labels: versions[versionId] };
+  }
+
+  async function getSecretVersionValues(secretName, versionId) {
+    try {
+      const response = await getBackend().getSecretValue({
+        SecretId: secretName,
+        VersionId: versionId
+      });
+      return response.SecretString ? JSON.parse(response.SecretString) : {};
+    } catch (error) {
+      throw new Error(`Failed to retrieve version ${versionId} of ${secretName}: ${error.message}`);
+    }
+  }
+
+  // Makes `targetVersionId` AWSCURRENT again. Secrets Manager moves AWSPREVIOUS
+  // to the version we rolled back from, which then gets its own timestamp label.
+  // `changeMetadata` from productionGuard is recorded with the move.
+  async function rollbackSecretVersion(secretName, targetVersionId, changeMetadata = {}) {
+    try {
+      const response = await getBackend().describeSecret({
+        SecretId: secretName
+      });
+      const versions = response.VersionIdsToStages || {};
+      const currentVersionId = Object.keys(versions).find(id => versions[id].includes('AWSCURRENT'));
+      
+      if (!versions[targetVersionId]) {
+        throw new Error(`Version ${targetVersionId} has no staging labels and cannot be restored`);
+      }
+      if (currentVersionId === targetVersionId) {
+        throw new Error(`Version ${targetVersionId} is already AWSCURRENT`);
+      }
+      
+      // The version rolled back from gets a timestamp label, so make room for
+      // it - without pruning the labels of the version being restored
+      await ensureLabelBudget(secretName, targetVersionId);
+      
+      console.log(`\n⏪ Moving AWSCURRENT from ${currentVersionId} to ${targetVersionId}...`);
+      await getBackend().updateSecretVersionStage({
+        SecretId: secretName,
+        VersionStage: 'AWSCURRENT',
+        MoveToVersionId: targetVersionId,
+        RemoveFromVersionId: currentVersionId
+      });
+      console.log(`✅ ${targetVersionId} is now AWSCURRENT`);
+      await recordAuditEvent({
+        action: 'label.move',
+        secretName,
+        label: 'AWSCURRENT',
+        versionId: targetVersionId,
+        fromVersionId: currentVersionId,
+        ...changeMetadata
+      });
+      console.log(`   - ${currentVersionId} is now AWSPREVIOUS`);
+      
+      const timestampLabel = await labelPreviousVersionWithTimestamp(secretName, 'rollback');
+      
+      return {
+        rolledBackFrom: currentVersionId,
+        rolledBackTo: targetVersionId,
+        timestampLabel
+      };
+    } catch (error) {
+      throw new Error(`Failed to roll back secret: ${error.message}`);
+    }
+  }
+
+
+  // Re-reads AWSCURRENT after a write and hands the stored values to `check`,
+  // which throws if they are unusable. On failure `previousVersionId` (the
+  // PreviousVersionId returned by updateSecretValues) can be restored:
+  // `rollback` is 'prompt' (ask), true (always) or false (never). Nothing is
+  // rolled back once AWSCURRENT has moved past the version just written, as
+  // that would discard someone else's write.
+  async function verifySecretUpdate(secretName, expectedVersionId, check, options = {}) {
+    const { rollback = 'prompt', previousVersionId } = options;
+    
+    console.log(`\n🔎 Verifying ${secretName} by reading back AWSCURRENT...`);
+    
+    try {
+      const response = await getBackend().getSecretValue({
+        SecretId: secretName,
+        VersionStage: 'AWSCURRENT'
+      });
+      if (response.VersionId !== expectedVersionId) {
+        throw new Error(`AWSCURRENT is ${response.VersionId}, expected the version just written (${expectedVersionId})`);
+      }
+      await check(response.SecretString ? JSON.parse(response.SecretString) : {});
+      console.log(`✅ Verification passed for version ${expectedVersionId}`);
+      return { verified: true, versionId: expectedVersionId };
+    } catch (error) {
+      console.error(`❌ Verification FAILED: ${error.message}`);
+      const failure = `Verification of ${secretName} failed: ${error.message}`;
+      
+      if (!previousVersionId) {
+        console.warn(`⚠️  ${secretName} had no version before ${expectedVersionId}; nothing to roll back to`);
+        throw new Error(failure);
+      }
+      
+      let currentVersionId;
+      try {
+        currentVersionId = (await resolveSecretVersion(secretName, 'AWSCURRENT')).versionId;
+      } catch (resolveError) {
+        throw new Error(`${failure}; AWSCURRENT could not be read to decide on a rollback: ${resolveError.message}`);
+      }
+      if (currentVersionId !== expectedVersionId) {
+        console.warn(`⚠️  AWSCURRENT has moved on to ${currentVersionId}; not rolling back over it`);
+        throw new Error(failure);
+      }
+      
+      const shouldRollBack = rollback === 'prompt'
+        ? await confirm({ message: `Roll back to the previous version (${previousVersionId})?`, default: true })
+        : rollback;
+      
+      if (shouldRollBack) {
+        try {
+          await rollbackSecretVersion(secretName, previousVersionId);
+        } catch (rollbackError) {
+          throw new Error(`${failure}; rolling back to ${previousVersionId} also failed: ${rollbackError.message}`);
+        }
+        console.log(`⏪ Rolled back ${secretName} to ${previousVersionId}`);
+      } else {
+        console.warn(`⚠️  Unverified version ${expectedVersionId} left as AWSCURRENT`);
+      }
+      
+      throw new Error(failure);
+    }
+  }
   
   module.exports = {
     getCurrentSecretValues,
+    getSecretVersionValues,
     updateSecretValue,
+    updateSecretValues,
     encryptWithKMS,
-    listSecretVersions
+    decryptWithKMS,
+    getEncryptionContext,
+    isEnvelopeCiphertext,
+    ENCRYPTION_MODES,
+    MAX_KMS_PLAINTEXT_BYTES,
+    generateTimestampLabel,
+    listSecretVersions,
+    listSecretNames,
+    removeStagingLabel,
+    resolveSecretVersion,
+    rollbackSecretVersion,
+    verifySecretUpdate
   }
\ No newline at end of file
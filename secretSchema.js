@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { decodeJwt } = require('./secretDiff');
+
+// Checks a secret's values against its schema (see getSecretSchema in
+// config.js): required keys, unknown keys, KMS ciphertext where a key is
+// encrypted and the value format of plain keys. Encrypted values can only be
+// format-checked once decrypted - see lintSecretValues.
+
+// Google OAuth client IDs look like 1234567890-abc123.apps.googleusercontent.com
+const CLIENT_ID_PATTERN = /^\d+-[a-z0-9]+\.apps\.googleusercontent\.com$/;
+
+// KMS ciphertext is stored as CiphertextBlob base64 or as an envelope
+// ("kms-envelope:v1:<base64>", see secretManager.js). Even a one-byte
+// plaintext makes a blob well over MIN_CIPHERTEXT_LENGTH characters.
+const CIPHERTEXT_PATTERN = /^(kms-envelope:v\d+:)?[A-Za-z0-9+/]+={0,2}$/;
+const MIN_CIPHERTEXT_LENGTH = 100;
+
+function isRedirectUri(uri) {
+  try {
+    return ['https:', 'http:'].includes(new URL(uri).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Stored keys are PEM text or, like JWT_PRIV/JWT_PUB, the bare base64 body of
+// one. Returns a KeyObject, or null when the value is not a key.
+function parseKey(value) {
+  const attempts = [];
+  if (value.includes('-----BEGIN')) {
+    attempts.push(() => crypto.createPrivateKey(value), () => crypto.createPublicKey(value));
+  } else if (/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    const der = Buffer.from(value, 'base64');
+    for (const type of ['pkcs8', 'sec1', 'pkcs1']) {
+      attempts.push(() => crypto.createPrivateKey({ key: der, format: 'der', type }));
+    }
+    for (const type of ['spki', 'pkcs1']) {
+      attempts.push(() => crypto.createPublicKey({ key: der, format: 'der', type }));
+    }
+  }
+  for (const attempt of attempts) {
+    try {
+      return attempt();
+    } catch (error) {
+      // Try the next encoding
+    }
+  }
+  return null;
+}
+
+// One check per name in SECRET_VALUE_FORMATS (configSchema.js)
+const VALUE_FORMATS = {
+  jwt: { description: 'a JWT', test: value => decodeJwt(value) !== null },
+  'private-key': { description: 'a private key (PEM or base64 DER)', test: value => (parseKey(value) || {}).type === 'private' },
+  'public-key': { description: 'a public key (PEM or base64 DER)', test: value => (parseKey(value) || {}).type === 'public' },
+  kid: { description: 'a JWK thumbprint (43 base64url characters)', test: value => /^[A-Za-z0-9_-]{43}$/.test(value) },
+  'jwt-alg': { description: 'a JWS algorithm name such as ES256', test: value => /^((ES|RS|PS|HS)(256|384|512)|EdDSA)$/.test(value) },
+  timestamp: { description: 'an ISO 8601 timestamp', test: value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)) },
+  'google-client-id': { description: 'a Google OAuth client ID', test: value => CLIENT_ID_PATTERN.test(value) },
+  'url-list': { description: 'comma-separated http(s) URLs', test: value => value.split(',').every(isRedirectUri) }
+};
+
+// Plaintext that is recognisably a key or token is never taken for ciphertext
+function looksLikeCiphertext(value) {
+  return CIPHERTEXT_PATTERN.test(value)
+    && value.length >= MIN_CIPHERTEXT_LENGTH
+    && decodeJwt(value) === null
+    && parseKey(value) === null;
+}
+
+// The format and pattern problem of one plaintext value, or null
+function checkPlaintextFormat(key, value, spec) {
+  if (spec.format && !VALUE_FORMATS[spec.format].test(value)) {
+    return { key, rule: 'format', message: `must be ${VALUE_FORMATS[spec.format].description}` };
+  }
+  if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    return { key, rule: 'pattern', message: `must match /${spec.pattern}/` };
+  }
+  return null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// The schema key an unknown key was most likely meant to be
+function suggestKey(key, names) {
+  const candidates = names
+    .map(name => ({ name, distance: name.toUpperCase() === key.toUpperCase() ? 0 : editDistance(key, name) }))
+    .filter(candidate => candidate.distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  return candidates.length > 0 ? candidates[0].name : null;
+}
+
+// Returns one { key, rule, message } per problem. Rules: required, unknown,
+// type, ciphertext, plaintext, copy, format, pattern.
+function checkSecretValues(values, schema) {
+  const violations = [];
+  for (const [key, spec] of Object.entries(schema.keys)) {
+    if (spec.required && (values[key] === undefined || values[key] === null || values[key] === '')) {
+      violations.push({ key, rule: 'required', message: 'is required but missing' });
+    }
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    const spec = schema.keys[key];
+    if (!spec) {
+      if (!schema.allowUnknownKeys) {
+        const suggestion = suggestKey(key, Object.keys(schema.keys));
+        violations.push({ key, rule: 'unknown', message: `is not in the schema${suggestion ? ` - did you mean ${suggestion}?` : ''}` });
+      }
+      continue;
+    }
+    if (typeof value !== 'string') {
+      violations.push({ key, rule: 'type', message: 'must be a string' });
+      continue;
+    }
+    // Encrypted copies differ in ciphertext - lintSecretValues compares them decrypted
+    if (spec.copyOf && !spec.encrypted && values[spec.copyOf] !== undefined && value !== values[spec.copyOf]) {
+      violations.push({ key, rule: 'copy', message: `must be a copy of ${spec.copyOf}` });
+    }
+    if (spec.encrypted) {
+      if (!looksLikeCiphertext(value)) {
+        violations.push({ key, rule: 'ciphertext', message: 'must be KMS ciphertext but holds plaintext' });
+      }
+      continue;
+    }
+    if (value.startsWith('kms-envelope:')) {
+      violations.push({ key, rule: 'plaintext', message: 'must be plain text but holds KMS ciphertext' });
+      continue;
+    }
+    const problem = checkPlaintextFormat(key, value, spec);
+    if (problem) {
+      violations.push(problem);
+    }
+  }
+  return violations;
+}
+
+// Violations in `after` that `before` did not already have
+function findNewViolations(before, after) {
+  const existing = new Set(before.map(violation => `${violation.key}:${violation.rule}`));
+  return after.filter(violation => !existing.has(`${violation.key}:${violation.rule}`));
+}
+
+function formatViolations(violations) {
+  return violations.map(violation => `${violation.key} ${violation.message}`).join('\n  - ');
+}
+
+module.exports = {
+  CLIENT_ID_PATTERN,
+  VALUE_FORMATS,
+  isRedirectUri,
+  parseKey,
+  looksLikeCiphertext,
+  checkPlaintextFormat,
+  checkSecretValues,
+  findNewViolations,
+  formatViolations
+};
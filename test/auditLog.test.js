@@ -0,0 +1,66 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { useLocalBackend } = require('./helpers');
+
+const { auditLog } = useLocalBackend();
+
+const { recordAuditEvent, verifyAuditLog } = require('../auditLog');
+
+function readLines() {
+  return fs.readFileSync(auditLog, 'utf8').trim().split('\n');
+}
+
+function writeLines(lines) {
+  fs.writeFileSync(auditLog, lines.join('\n') + '\n');
+}
+
+beforeEach(async () => {
+  fs.rmSync(auditLog, { force: true });
+  for (const label of ['one', 'two', 'three', 'four']) {
+    await recordAuditEvent({ action: 'label.add', secretName: 'dev/audit-test', label, versionId: label });
+  }
+});
+
+test('an untouched audit log verifies', () => {
+  assert.deepEqual(verifyAuditLog(), { valid: true, records: 4, file: `file:${auditLog}` });
+});
+
+test('a modified record breaks the chain at that record', () => {
+  const lines = readLines();
+  const record = JSON.parse(lines[1]);
+  lines[1] = JSON.stringify({ ...record, label: 'forged' });
+  writeLines(lines);
+
+  const result = verifyAuditLog();
+
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.reason, /record modified/);
+});
+
+test('a removed record breaks the chain at the record after it', () => {
+  const lines = readLines();
+  lines.splice(2, 1);
+  writeLines(lines);
+
+  const result = verifyAuditLog();
+
+  assert.equal(result.valid, false);
+  assert.equal(result.records, 3);
+  assert.equal(result.brokenAt, 3);
+  assert.match(result.reason, /record removed, reordered or inserted/);
+});
+
+test('a garbled line is reported instead of thrown', () => {
+  const lines = readLines();
+  lines[2] = lines[2].substring(0, 40);
+  writeLines(lines);
+
+  const result = verifyAuditLog();
+
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 3);
+  assert.match(result.reason, /not valid JSON/);
+});
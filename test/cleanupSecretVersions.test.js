@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend, MAX_STAGING_LABELS } = require('../secretBackend');
+const { resolveSecretVersion } = require('../secretManager');
+const { readAuditRecords } = require('../auditLog');
+const { cleanupVersions, countMatchingSecrets, rollbackVersion } = require('../cleanupSecretVersions');
+
+const SECRET_NAME = 'prd/guard-test';
+const GUARD = { confirmEnvironment: 'prd', changeTicket: 'OPS-1234' };
+
+async function createVersions(secretName, count) {
+  const versionIds = [];
+  for (let i = 0; i < count; i++) {
+    const { VersionId } = await getBackend().putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ N: String(i) }) });
+    versionIds.push(VersionId);
+  }
+  return versionIds;
+}
+
+test('a prd rollback needs the production guard and records its ticket', async () => {
+  const secretName = `${SECRET_NAME}/rollback`;
+  const [first, second] = await createVersions(secretName, 2);
+
+  await assert.rejects(
+    rollbackVersion(secretName, 'AWSPREVIOUS', { force: true, nonInteractive: true }),
+    /--confirm-environment prd is required/
+  );
+  assert.equal((await resolveSecretVersion(secretName, 'AWSCURRENT')).versionId, second);
+
+  const result = await rollbackVersion(secretName, 'AWSPREVIOUS', { force: true, nonInteractive: true, ...GUARD });
+
+  assert.equal(result.changeTicket, 'OPS-1234');
+  assert.equal((await resolveSecretVersion(secretName, 'AWSCURRENT')).versionId, first);
+  const move = readAuditRecords().filter(record => record.action === 'label.move' && record.secretName === secretName).pop();
+  assert.equal(move.changeTicket, 'OPS-1234');
+});
+
+test('a prd cleanup needs the production guard and records its ticket on each removed label', async () => {
+  const secretName = `${SECRET_NAME}/cleanup`;
+  const [oldest] = await createVersions(secretName, 3);
+  await getBackend().updateSecretVersionStage({ SecretId: secretName, VersionStage: '20200101_000000', MoveToVersionId: oldest });
+  const options = { keepCount: 0, strict: true, force: true, nonInteractive: true };
+
+  await assert.rejects(cleanupVersions(secretName, options), /--confirm-environment prd is required/);
+  assert.ok((await resolveSecretVersion(secretName, '20200101_000000')).versionId);
+
+  const result = await cleanupVersions(secretName, { ...options, ...GUARD });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(result.changeTicket, 'OPS-1234');
+  await assert.rejects(resolveSecretVersion(secretName, '20200101_000000'), /No version/);
+  const removal = readAuditRecords().filter(record => record.action === 'label.remove' && record.secretName === secretName).pop();
+  assert.equal(removal.changeTicket, 'OPS-1234');
+});
+
+test('the bulk count reports free slots against the staging label limit', async () => {
+  await createVersions('dev/count-test/a', 3);
+
+  const { ok, results } = await countMatchingSecrets('dev/count-test/*');
+
+  assert.ok(ok);
+  assert.deepEqual(results.map(({ secretName, totalLabels, availableSlots }) => ({ secretName, totalLabels, availableSlots })), [
+    { secretName: 'dev/count-test/a', totalLabels: 2, availableSlots: MAX_STAGING_LABELS - 2 }
+  ]);
+});
@@ -0,0 +1,34 @@
+const { before, after, mock } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Points the suite at a local backend and audit log in a temp directory that
+// is removed once the suite ends, and silences the console while it runs.
+// Call it before requiring the modules under test.
+function useLocalBackend() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-rotator-test-'));
+  process.env.SECRET_BACKEND = 'local';
+  process.env.SECRET_BACKEND_FILE = path.join(directory, 'store.json');
+  process.env.SECRET_AUDIT_LOG = path.join(directory, 'audit.jsonl');
+
+  before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  return {
+    directory,
+    backendFile: process.env.SECRET_BACKEND_FILE,
+    auditLog: process.env.SECRET_AUDIT_LOG
+  };
+}
+
+module.exports = {
+  useLocalBackend
+};
@@ -0,0 +1,92 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { useLocalBackend } = require('./helpers');
+
+const { directory } = useLocalBackend();
+process.env.SECRET_ROTATOR_CONFIG = path.join(directory, 'secret-rotator.config.json');
+fs.writeFileSync(process.env.SECRET_ROTATOR_CONFIG, JSON.stringify({ guardrails: { protectedEnvironments: ['dev'], requireApproval: true } }));
+
+const { getBackend } = require('../secretBackend');
+const { getSecretName } = require('../config');
+const { resolveSecretVersion } = require('../secretManager');
+const { createApprovalToken } = require('../productionGuard');
+const { checkAppleSecretExpiry, generateAppleClientSecret, inspectAppleKey, promptForInputs } = require('../initiateAppleSecretRotation');
+
+const ENVIRONMENT = 'dev';
+const KEY_ID = 'ABCDE12345';
+const TEAM_ID = 'TEAM123456';
+const keyPath = path.join(directory, `AuthKey_${KEY_ID}.p8`);
+
+before(() => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  fs.writeFileSync(keyPath, privateKey.export({ format: 'pem', type: 'pkcs8' }));
+});
+
+function withCallerArn(arn, action) {
+  const previous = process.env.SECRET_BACKEND_CALLER_ARN;
+  process.env.SECRET_BACKEND_CALLER_ARN = arn;
+  return action().finally(() => {
+    process.env.SECRET_BACKEND_CALLER_ARN = previous;
+  });
+}
+
+test('check-expiry rotates every expiring app of a protected environment in one version with one approval', async () => {
+  const secretName = getSecretName(ENVIRONMENT);
+  const seed = {};
+  for (const app of ['main', 'flask']) {
+    const config = { clientId: `com.example.${app}`, teamId: TEAM_ID, keyPath, keyId: KEY_ID, expiryDays: 1 };
+    const { secretKey, encryptedToken } = await generateAppleClientSecret(ENVIRONMENT, app, config, { skipConfirm: true });
+    seed[secretKey] = encryptedToken;
+  }
+  const seeded = await getBackend().putSecretValue({ SecretId: secretName, SecretString: JSON.stringify(seed) });
+  const { token: approvalToken } = await withCallerArn('arn:aws:iam::000000000000:user/approver', () =>
+    createApprovalToken({ environment: ENVIRONMENT, secretName, changeTicket: 'CHG-1234' }));
+
+  const { results } = await withCallerArn('arn:aws:iam::000000000000:user/operator', () => checkAppleSecretExpiry({
+    environments: [ENVIRONMENT],
+    apps: ['main', 'flask'],
+    rotateBelowDays: 5,
+    keyPaths: { main: keyPath, flask: keyPath },
+    guard: { confirmEnvironment: ENVIRONMENT, changeTicket: 'CHG-1234', approvalToken }
+  }));
+
+  assert.deepEqual(results.map(result => [result.app, result.rotation, result.status]), [
+    ['main', 'rotated', 'ok'],
+    ['flask', 'rotated', 'ok']
+  ]);
+  assert.equal((await resolveSecretVersion(secretName, 'AWSPREVIOUS')).versionId, seeded.VersionId, 'both apps land in one new version');
+});
+
+test('only a P-256 EC private key is accepted as an Apple .p8', () => {
+  assert.deepEqual(inspectAppleKey(keyPath), { keyIdFromFileName: KEY_ID });
+
+  const writeKey = (name, contents) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+  const exportKey = (type, options) => crypto.generateKeyPairSync(type, options).privateKey.export({ format: 'pem', type: 'pkcs8' });
+  assert.throws(() => inspectAppleKey(writeKey('rsa.p8', exportKey('rsa', { modulusLength: 2048 }))), /is an RSA key - Apple signing keys are P-256 EC keys/);
+  assert.throws(() => inspectAppleKey(writeKey('p384.p8', exportKey('ec', { namedCurve: 'secp384r1' }))), /is an EC key on secp384r1/);
+  assert.throws(() => inspectAppleKey(writeKey('garbage.p8', 'not a key')), /is not a PEM private key/);
+  assert.throws(() => inspectAppleKey(path.join(directory, 'missing.p8')), /Key file does not exist/);
+
+  // A key that is not named AuthKey_<KEY ID>.p8 is fine, its key ID just has to be given
+  const renamed = writeKey('apple-signing-key.p8', fs.readFileSync(keyPath));
+  assert.deepEqual(inspectAppleKey(renamed), { keyIdFromFileName: null });
+});
+
+test('the key ID comes from the key file name, and team and key IDs must be 10 upper-case characters', async () => {
+  const inputs = config => promptForInputs({ environment: ENVIRONMENT, app: 'main', nonInteractive: true, config });
+  const valid = { clientId: 'com.example.main', teamId: TEAM_ID, keyPath };
+
+  assert.equal((await inputs(valid)).config.keyId, KEY_ID);
+  assert.equal((await inputs({ ...valid, keyId: 'ZYXWV98765' })).config.keyId, 'ZYXWV98765');
+  await assert.rejects(inputs({ ...valid, teamId: 'team123456' }), /Team ID "team123456" must be 10 upper-case letters and digits/);
+  await assert.rejects(inputs({ ...valid, keyId: 'ABC' }), /Key ID "ABC" must be 10 upper-case letters and digits/);
+  await assert.rejects(inputs({ ...valid, keyPath: path.join(directory, 'missing.p8') }), /Key file does not exist/);
+});
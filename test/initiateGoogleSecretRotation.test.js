@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useLocalBackend } = require('./helpers');
+
+const { directory } = useLocalBackend();
+
+const { getSecretName } = require('../config');
+const { decryptWithKMS, getCurrentSecretValues, getEncryptionContext } = require('../secretManager');
+const { main, parseGoogleClientJson } = require('../initiateGoogleSecretRotation');
+
+const CLIENT_ID = '1234567890-abc123.apps.googleusercontent.com';
+const WEB_CLIENT = {
+  web: {
+    client_id: CLIENT_ID,
+    project_id: 'auth-project',
+    client_secret: ' GOCSPX-secret \n',
+    redirect_uris: ['https://auth.example.com/callback', 'http://localhost:3000/callback']
+  }
+};
+
+test('a web client JSON is parsed into client ID, trimmed secret and redirect URIs', () => {
+  assert.deepEqual(parseGoogleClientJson(JSON.stringify(WEB_CLIENT)), {
+    clientId: CLIENT_ID,
+    clientSecret: 'GOCSPX-secret',
+    redirectUris: WEB_CLIENT.web.redirect_uris,
+    projectId: 'auth-project'
+  });
+  assert.deepEqual(parseGoogleClientJson(JSON.stringify({ web: { client_id: CLIENT_ID, client_secret: 's' } })).redirectUris, []);
+});
+
+test('client JSON that is not a usable web client is refused with the reason', () => {
+  assert.throws(() => parseGoogleClientJson('{ "web": '), /is not valid JSON/);
+  assert.throws(() => parseGoogleClientJson(JSON.stringify({ installed: WEB_CLIENT.web })), /installed-app client/);
+  assert.throws(() => parseGoogleClientJson(JSON.stringify({ client_id: CLIENT_ID })), /has no "web" section/);
+
+  const broken = { web: { client_id: 'not-an-id', client_secret: ' ', redirect_uris: ['javascript:alert(1)'] } };
+  assert.throws(() => parseGoogleClientJson(JSON.stringify(broken), 'client.json'), error => {
+    assert.match(error.message, /^client\.json is not a valid web client JSON/);
+    assert.match(error.message, /web\.client_id is missing or is not a Google OAuth client ID/);
+    assert.match(error.message, /web\.client_secret is missing/);
+    assert.match(error.message, /web\.redirect_uris must be a list of http\(s\) URLs/);
+    return true;
+  });
+});
+
+test('rotating from a client JSON stores the client ID, redirect URIs and the encrypted secret', async () => {
+  const clientJson = path.join(directory, 'client_secret_web.json');
+  fs.writeFileSync(clientJson, JSON.stringify(WEB_CLIENT));
+
+  const result = await main({ environment: 'dev', app: 'main', config: { clientJson }, nonInteractive: true });
+
+  const secretName = getSecretName('dev');
+  const values = await getCurrentSecretValues(secretName);
+  assert.deepEqual(result.keys.sort(), ['MAIN_GOOGLE_WEB_CLIENT_ID', 'MAIN_GOOGLE_WEB_CLIENT_SECRET', 'MAIN_GOOGLE_WEB_REDIRECT_URIS']);
+  assert.equal(values.MAIN_GOOGLE_WEB_CLIENT_ID, CLIENT_ID);
+  assert.equal(values.MAIN_GOOGLE_WEB_REDIRECT_URIS, WEB_CLIENT.web.redirect_uris.join(','));
+  const context = getEncryptionContext('dev', secretName, 'MAIN_GOOGLE_WEB_CLIENT_SECRET');
+  assert.equal(await decryptWithKMS(values.MAIN_GOOGLE_WEB_CLIENT_SECRET, { context }), 'GOCSPX-secret');
+});
@@ -0,0 +1,115 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend } = require('../secretBackend');
+const { getSecretName } = require('../config');
+const { decryptWithKMS, getCurrentSecretValues, getEncryptionContext } = require('../secretManager');
+const { createApprovalToken } = require('../productionGuard');
+const { JWT_ALGORITHMS, computeKeyId, finalizeJwtRollover, generateJWTKeys } = require('../initiateJwtPriv');
+
+const ENVIRONMENT = 'dev';
+
+// JWS signing input and signature encoding per RFC 7518
+const JWS_SIGN_OPTIONS = {
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null },
+  RS256: { hash: 'sha256' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }
+};
+
+function signJws(algorithm, privateKey, payload) {
+  const { hash, ...keyOptions } = JWS_SIGN_OPTIONS[algorithm];
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: algorithm, typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.sign(hash, Buffer.from(signingInput), { key: privateKey, ...keyOptions });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function verifyJws(token, publicKey) {
+  const [header, payload, signature] = token.split('.');
+  const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  const { hash, ...keyOptions } = JWS_SIGN_OPTIONS[alg];
+  return crypto.verify(hash, Buffer.from(`${header}.${payload}`), { key: publicKey, ...keyOptions }, Buffer.from(signature, 'base64url'));
+}
+
+before(async () => {
+  await getBackend().putSecretValue({ SecretId: getSecretName(ENVIRONMENT), SecretString: '{}' });
+});
+
+test('computeKeyId matches the RFC 7638 example thumbprint', () => {
+  const publicKey = crypto.createPublicKey({
+    format: 'jwk',
+    key: {
+      kty: 'RSA',
+      e: 'AQAB',
+      n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw'
+    }
+  });
+  assert.equal(computeKeyId(publicKey.export({ format: 'pem', type: 'spki' })), 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+});
+
+for (const [algorithm, spec] of Object.entries(JWT_ALGORITHMS)) {
+  test(`${algorithm}: the stored private key signs tokens the stored public key verifies`, async () => {
+    const secretName = getSecretName(ENVIRONMENT);
+    const result = await generateJWTKeys({
+      environment: ENVIRONMENT,
+      algorithm,
+      modulusLength: spec.keyType === 'rsa' ? 2048 : undefined,
+      graceHours: 0,
+      nonInteractive: true
+    });
+    const values = await getCurrentSecretValues(secretName);
+
+    assert.equal(values.JWT_ALG, algorithm);
+    const publicKey = crypto.createPublicKey({ key: Buffer.from(values.JWT_PUB, 'base64'), format: 'der', type: 'spki' });
+    const publicKeyPEM = publicKey.export({ format: 'pem', type: 'spki' });
+    assert.match(values.JWT_KID, /^[A-Za-z0-9_-]{43}$/);
+    assert.equal(values.JWT_KID, computeKeyId(publicKeyPEM));
+    assert.equal(result.metadata.kid, values.JWT_KID);
+
+    const privateKeyBase64 = await decryptWithKMS(values.JWT_PRIV, { context: getEncryptionContext(ENVIRONMENT, secretName, 'JWT_PRIV') });
+    const devPrivateKeyBase64 = await decryptWithKMS(values.JWT_PRIV_DEV, { context: getEncryptionContext(ENVIRONMENT, secretName, 'JWT_PRIV_DEV') });
+    assert.notEqual(values.JWT_PRIV_DEV, values.JWT_PRIV, 'JWT_PRIV_DEV is encrypted under its own context');
+    assert.equal(devPrivateKeyBase64, privateKeyBase64);
+    const privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyBase64, 'base64'), format: 'der', type: spec.privateKeyType });
+    const token = signJws(algorithm, privateKey, { sub: 'round-trip', iat: Math.floor(Date.now() / 1000) });
+
+    assert.ok(verifyJws(token, publicKey), `${algorithm} signature does not verify against JWT_PUB`);
+    const tampered = `${token.substring(0, token.lastIndexOf('.'))}x${token.substring(token.lastIndexOf('.'))}`;
+    assert.equal(verifyJws(tampered, publicKey), false);
+  });
+}
+
+test('a prd rotation refused over a key in its grace period leaves the approval token unused', async () => {
+  const environment = 'prd';
+  const secretName = getSecretName(environment);
+  const previousCaller = process.env.SECRET_BACKEND_CALLER_ARN;
+  process.env.SECRET_BACKEND_CALLER_ARN = 'arn:aws:iam::000000000000:user/approver';
+  const { token } = await createApprovalToken({ environment, secretName, changeTicket: 'CHG-1234' });
+  process.env.SECRET_BACKEND_CALLER_ARN = previousCaller;
+  const guard = { confirmEnvironment: environment, changeTicket: 'CHG-1234', approvalToken: token, nonInteractive: true };
+  const seed = retireAfter => getBackend().putSecretValue({
+    SecretId: secretName,
+    SecretString: JSON.stringify({ JWT_KID: 'current', JWT_KID_PREVIOUS: 'previous', JWT_PUB_PREVIOUS: 'cHVi', JWT_PUB_PREVIOUS_RETIRE_AFTER: retireAfter })
+  });
+  const usedApprovals = async () => ((await getBackend().describeSecret({ SecretId: secretName })).Tags || [])
+    .filter(tag => tag.Key.startsWith('UsedApproval:'));
+
+  await seed(new Date(Date.now() + 60 * 60 * 1000).toISOString());
+  await assert.rejects(generateJWTKeys({ environment, algorithm: 'ES256', ...guard }), /still in its grace period/);
+  await assert.rejects(finalizeJwtRollover({ environment, ...guard }), /before its grace period ends/);
+  assert.deepEqual(await usedApprovals(), []);
+
+  // The same token still passes the guard once nothing refuses the change
+  // (the seeded secret has no key pair, so the write then fails verification)
+  await seed(new Date(Date.now() - 1000).toISOString());
+  await assert.rejects(finalizeJwtRollover({ environment, ...guard }), new RegExp(`Verification of ${secretName} failed`));
+  assert.equal((await usedApprovals()).length, 1);
+});
@@ -0,0 +1,78 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { useLocalBackend } = require('./helpers');
+
+const { auditLog } = useLocalBackend();
+
+const { getBackend } = require('../secretBackend');
+const { getKmsAlias, getSecretName } = require('../config');
+const { encryptWithKMS, getEncryptionContext } = require('../secretManager');
+const { inspectSecretValue } = require('../inspectSecretValue');
+
+const ENVIRONMENT = 'dev';
+const SECRET_NAME = getSecretName(ENVIRONMENT);
+const CLIENT_SECRET = 'GOCSPX-do-not-print-me';
+const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const JWT_PRIV = privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64');
+
+// Everything printed so far, as one string
+function printed() {
+  return console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+}
+
+function revealRecords() {
+  if (!fs.existsSync(auditLog)) {
+    return [];
+  }
+  return fs.readFileSync(auditLog, 'utf8').trim().split('\n')
+    .map(line => JSON.parse(line))
+    .filter(record => record.action === 'secret.reveal');
+}
+
+beforeEach(async () => {
+  const encrypt = (key, plaintext) => encryptWithKMS(plaintext, getKmsAlias(ENVIRONMENT), { context: getEncryptionContext(ENVIRONMENT, SECRET_NAME, key) });
+  await getBackend().putSecretValue({
+    SecretId: SECRET_NAME,
+    SecretString: JSON.stringify({
+      MAIN_GOOGLE_WEB_CLIENT_SECRET: await encrypt('MAIN_GOOGLE_WEB_CLIENT_SECRET', CLIENT_SECRET),
+      JWT_PRIV: await encrypt('JWT_PRIV', JWT_PRIV)
+    })
+  });
+  console.log.mock.resetCalls();
+});
+
+test('without reveal only a redacted description is printed and returned', async () => {
+  const secret = await inspectSecretValue(SECRET_NAME, 'MAIN_GOOGLE_WEB_CLIENT_SECRET', { nonInteractive: true });
+  const key = await inspectSecretValue(SECRET_NAME, 'JWT_PRIV', { nonInteractive: true });
+
+  assert.equal(secret.kind, 'opaque');
+  assert.equal(secret.length, CLIENT_SECRET.length);
+  assert.equal(key.kind, 'private-key');
+  assert.equal(key.curve, 'prime256v1');
+  assert.match(key.kid, /^[A-Za-z0-9_-]{43}$/);
+  for (const plaintext of [CLIENT_SECRET, JWT_PRIV]) {
+    assert.ok(!printed().includes(plaintext), 'no plaintext in the output');
+    assert.ok(!JSON.stringify([secret, key]).includes(plaintext), 'no plaintext in the result');
+  }
+  assert.deepEqual(revealRecords(), []);
+});
+
+test('reveal needs --yes-reveal without a terminal, and every reveal is audited', async () => {
+  await assert.rejects(
+    inspectSecretValue(SECRET_NAME, 'MAIN_GOOGLE_WEB_CLIENT_SECRET', { reveal: true, force: true, nonInteractive: true }),
+    /--reveal needs --yes-reveal with --no-input/
+  );
+  assert.ok(!printed().includes(CLIENT_SECRET));
+  assert.deepEqual(revealRecords(), []);
+
+  const result = await inspectSecretValue(SECRET_NAME, 'MAIN_GOOGLE_WEB_CLIENT_SECRET', { reveal: true, yesReveal: true, nonInteractive: true });
+
+  assert.equal(result.plaintext, CLIENT_SECRET);
+  assert.ok(printed().includes(CLIENT_SECRET));
+  assert.deepEqual(revealRecords().map(({ secretName, key, versionId, confirmation }) => ({ secretName, key, versionId, confirmation })), [
+    { secretName: SECRET_NAME, key: 'MAIN_GOOGLE_WEB_CLIENT_SECRET', versionId: result.versionId, confirmation: 'bypassed' }
+  ]);
+});
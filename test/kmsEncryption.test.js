@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend, MAX_KMS_PLAINTEXT_BYTES } = require('../secretBackend');
+const { getKmsAlias, getSecretName } = require('../config');
+const { decryptWithKMS, encryptWithKMS, getEncryptionContext } = require('../secretManager');
+
+const ENVIRONMENT = 'dev';
+const KMS_ALIAS = getKmsAlias(ENVIRONMENT);
+const CONTEXT = getEncryptionContext(ENVIRONMENT, getSecretName(ENVIRONMENT), 'LARGE_VALUE');
+const LARGE_VALUE = 'x'.repeat(MAX_KMS_PLAINTEXT_BYTES + 1);
+
+test('values over the KMS limit are envelope-encrypted and decrypt again', async () => {
+  const ciphertext = await encryptWithKMS(LARGE_VALUE, KMS_ALIAS, { context: CONTEXT });
+
+  assert.ok(ciphertext.startsWith('kms-envelope:v1:'));
+  assert.equal(await decryptWithKMS(ciphertext, { context: CONTEXT }), LARGE_VALUE);
+});
+
+test('"direct" mode refuses a value over the KMS limit instead of switching format', async () => {
+  await assert.rejects(encryptWithKMS(LARGE_VALUE, KMS_ALIAS, { context: CONTEXT, mode: 'direct' }), /KMS encryption failed/);
+});
+
+test('small values stay raw CiphertextBlob base64, which still decrypts', async () => {
+  const ciphertext = await encryptWithKMS('small value', KMS_ALIAS, { context: CONTEXT });
+  assert.ok(!ciphertext.includes(':'), 'raw CiphertextBlob base64 never contains ":"');
+  assert.equal(await decryptWithKMS(ciphertext, { context: CONTEXT }), 'small value');
+
+  // As written by tools that called KMS Encrypt directly
+  const { CiphertextBlob } = await getBackend().encrypt({ KeyId: KMS_ALIAS, Plaintext: Buffer.from('legacy value'), EncryptionContext: CONTEXT });
+  assert.equal(await decryptWithKMS(Buffer.from(CiphertextBlob).toString('base64'), { context: CONTEXT }), 'legacy value');
+});
+
+test('a tampered envelope fails authentication', async () => {
+  const ciphertext = await encryptWithKMS(LARGE_VALUE, KMS_ALIAS, { context: CONTEXT, mode: 'envelope' });
+  const envelope = JSON.parse(Buffer.from(ciphertext.substring('kms-envelope:v1:'.length), 'base64').toString('utf8'));
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  const tampered = 'kms-envelope:v1:' + Buffer.from(JSON.stringify({ ...envelope, data: data.toString('base64') })).toString('base64');
+
+  await assert.rejects(decryptWithKMS(tampered, { context: CONTEXT }), /envelope failed authentication/);
+});
+
+for (const [format, value] of [['raw', 'small value'], ['envelope', LARGE_VALUE]]) {
+  test(`a ${format} ciphertext only decrypts with the context it was encrypted under`, async () => {
+    const ciphertext = await encryptWithKMS(value, KMS_ALIAS, { context: CONTEXT });
+    const otherKey = getEncryptionContext(ENVIRONMENT, getSecretName(ENVIRONMENT), 'OTHER_VALUE');
+    const otherEnvironment = getEncryptionContext('prd', getSecretName('prd'), 'LARGE_VALUE');
+
+    await assert.rejects(decryptWithKMS(ciphertext, { context: otherKey }), /not bound to OTHER_VALUE in/);
+    await assert.rejects(decryptWithKMS(ciphertext, { context: otherEnvironment }), /not bound to LARGE_VALUE in prd\//);
+    await assert.rejects(decryptWithKMS(ciphertext), /KMS decryption failed/);
+  });
+}
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend, MAX_STAGING_LABELS } = require('../secretBackend');
+const { rollbackSecretVersion, updateSecretValues } = require('../secretManager');
+
+const SECRET_NAME = 'dev/label-budget-test';
+
+function countLabels(versionIdsToStages) {
+  return Object.values(versionIdsToStages).reduce((total, stages) => total + stages.length, 0);
+}
+
+// AWSCURRENT, AWSPREVIOUS and 18 timestamp labels a month apart
+async function createFullSecret(secretName) {
+  const backend = getBackend();
+  let previousVersionId;
+  for (let month = 0; month <= MAX_STAGING_LABELS - 2; month++) {
+    const { VersionId } = await backend.putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ JWT_ALG: 'ES256', N: String(month) }) });
+    if (previousVersionId) {
+      const stamp = new Date(Date.UTC(2020, month - 1, 1)).toISOString().replace(/[-:.]/g, '');
+      await backend.updateSecretVersionStage({ SecretId: secretName, VersionStage: `${stamp}-${String(month).padStart(4, '0')}`, MoveToVersionId: previousVersionId });
+    }
+    previousVersionId = VersionId;
+  }
+  await backend.putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ JWT_ALG: 'ES256', N: 'last' }) });
+  const { VersionIdsToStages } = await backend.describeSecret({ SecretId: secretName });
+  assert.equal(countLabels(VersionIdsToStages), MAX_STAGING_LABELS);
+}
+
+test(`the local backend refuses a label beyond the ${MAX_STAGING_LABELS}-label limit`, async () => {
+  await createFullSecret(`${SECRET_NAME}/refused`);
+  const { VersionIdsToStages } = await getBackend().describeSecret({ SecretId: `${SECRET_NAME}/refused` });
+  const current = Object.keys(VersionIdsToStages).find(versionId => VersionIdsToStages[versionId].includes('AWSCURRENT'));
+
+  await assert.rejects(
+    getBackend().updateSecretVersionStage({ SecretId: `${SECRET_NAME}/refused`, VersionStage: 'one-too-many', MoveToVersionId: current }),
+    { name: 'LimitExceededException' }
+  );
+});
+
+test('a write to a secret at the limit prunes the oldest timestamp label to make room for its own', async () => {
+  await createFullSecret(SECRET_NAME);
+
+  await updateSecretValues(SECRET_NAME, { JWT_ALG: 'ES384' });
+
+  const { VersionIdsToStages } = await getBackend().describeSecret({ SecretId: SECRET_NAME });
+  const labels = Object.values(VersionIdsToStages).flat();
+  assert.equal(countLabels(VersionIdsToStages), MAX_STAGING_LABELS);
+  assert.ok(!labels.includes('20200101T000000000Z-0001'), 'the oldest timestamp label is pruned');
+  const previous = Object.values(VersionIdsToStages).find(stages => stages.includes('AWSPREVIOUS'));
+  assert.equal(previous.length, 2, 'the outgoing version gets its timestamp label');
+});
+
+test('a rollback on a secret at the limit makes room without pruning the version it restores', async () => {
+  const secretName = `${SECRET_NAME}/rollback`;
+  await createFullSecret(secretName);
+  const before = (await getBackend().describeSecret({ SecretId: secretName })).VersionIdsToStages;
+  const target = Object.keys(before).find(versionId => before[versionId].includes('20200101T000000000Z-0001'));
+
+  await rollbackSecretVersion(secretName, target);
+
+  const { VersionIdsToStages } = await getBackend().describeSecret({ SecretId: secretName });
+  assert.equal(countLabels(VersionIdsToStages), MAX_STAGING_LABELS);
+  assert.deepEqual(VersionIdsToStages[target].sort(), ['20200101T000000000Z-0001', 'AWSCURRENT']);
+  const previous = Object.values(VersionIdsToStages).find(stages => stages.includes('AWSPREVIOUS'));
+  assert.equal(previous.length, 2, 'the version rolled back from gets its timestamp label');
+});
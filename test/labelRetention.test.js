@@ -0,0 +1,127 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ROTATION_LABEL_PATTERN,
+  parseTimestampLabel,
+  isTimestampLabel,
+  identifyVersionsToCleanup,
+  identifyVersionsToCleanupByRetention
+} = require('../labelRetention');
+const { MAX_STAGING_LABELS } = require('../secretBackend');
+const { generateTimestampLabel } = require('../secretManager');
+
+mock.method(console, 'log', () => {});
+
+test('generateTimestampLabel writes UTC to the millisecond, a random id and the hint', () => {
+  const before = Date.now();
+  const label = generateTimestampLabel('jwt Ab12/Cd34');
+  const match = label.match(ROTATION_LABEL_PATTERN);
+
+  assert.ok(match, `${label} does not match the rotation label format`);
+  assert.equal(match[9], 'jwt-Ab12-Cd34');
+  const timestamp = parseTimestampLabel(label).getTime();
+  assert.ok(timestamp >= before && timestamp <= Date.now());
+  assert.ok(isTimestampLabel(generateTimestampLabel()));
+  assert.doesNotMatch(generateTimestampLabel(), /-$/);
+});
+
+test('generateTimestampLabel never returns a label that is already taken', () => {
+  const taken = [];
+  for (let i = 0; i < 500; i++) {
+    taken.push(generateTimestampLabel('pre-restore', taken));
+  }
+  assert.equal(new Set(taken).size, taken.length);
+});
+
+test('parseTimestampLabel reads legacy labels as local time and rotation labels as UTC', () => {
+  assert.equal(parseTimestampLabel('20250709_143530').getTime(), new Date(2025, 6, 9, 14, 35, 30).getTime());
+  assert.equal(parseTimestampLabel('20251019T082412041Z-3fa9').toISOString(), '2025-10-19T08:24:12.041Z');
+  assert.equal(parseTimestampLabel('20251019T082412041Z-3fa9-jwt-Ab12Cd34').toISOString(), '2025-10-19T08:24:12.041Z');
+  assert.equal(parseTimestampLabel('release-1'), null);
+  assert.equal(isTimestampLabel('20251019T082412041Z'), false);
+});
+
+test('identifyVersionsToCleanup orders legacy and rotation labels together, oldest removed first', () => {
+  const versions = {
+    current: ['AWSCURRENT'],
+    previous: ['AWSPREVIOUS', '20250101T000000000Z-aaaa'],
+    legacyOld: ['20240101_120000'],
+    rotationOld: ['20240201T120000000Z-bbbb'],
+    legacyNew: ['20250601_120000', 'release-1'],
+    rotationNew: ['20250701T120000000Z-cccc-jwt'],
+    unlabeled: []
+  };
+
+  const plan = identifyVersionsToCleanup(versions, 2, 0, true);
+
+  assert.deepEqual(plan.toRemoveLabels, [
+    { versionId: 'rotationOld', label: '20240201T120000000Z-bbbb' },
+    { versionId: 'legacyOld', label: '20240101_120000' }
+  ]);
+  assert.deepEqual(plan.toDeleteVersions.sort(), ['legacyOld', 'rotationOld', 'unlabeled']);
+  assert.equal(plan.versionsToKeep, 2);
+});
+
+test('identifyVersionsToCleanup keeps labels younger than keepDays unless strict', () => {
+  const recent = generateTimestampLabel();
+  const versions = {
+    current: ['AWSCURRENT'],
+    old: ['20200101_000000'],
+    recent: [recent]
+  };
+
+  assert.deepEqual(identifyVersionsToCleanup(versions, 0, 7).toRemoveLabels, [
+    { versionId: 'old', label: '20200101_000000' }
+  ]);
+  assert.equal(identifyVersionsToCleanup(versions, 0, 7, true).toRemoveLabels.length, 2);
+});
+
+// Newest first: two labels on Wed 15 Oct 2025, Tue 14 Oct (same ISO week 42),
+// Wed 8 Oct (week 41), 10 Sep and 1 Aug
+const GFS_VERSIONS = {
+  current: ['AWSCURRENT'],
+  previous: ['AWSPREVIOUS'],
+  a: ['20251015T120000000Z-aaaa'],
+  b: ['20251015T080000000Z-bbbb'],
+  c: ['20251014T120000000Z-cccc'],
+  d: ['20251008T120000000Z-dddd'],
+  e: ['20250910T120000000Z-eeee'],
+  f: ['20250801T120000000Z-ffff', 'release-1']
+};
+const GFS_POLICY = { last: 1, daily: 2, weekly: 2, monthly: 2 };
+
+test('identifyVersionsToCleanupByRetention keeps the newest label of each day, ISO week and month tier', () => {
+  const plan = identifyVersionsToCleanupByRetention(GFS_VERSIONS, GFS_POLICY);
+
+  assert.deepEqual(plan.decisions.map(({ versionId, keep, reason }) => [versionId, keep, reason]), [
+    ['a', true, 'kept as recent snapshot 1 of 1'],
+    ['b', false, 'removed - not covered by any retention tier'],
+    ['c', true, 'kept as daily snapshot for 2025-10-14'],
+    ['d', true, 'kept as weekly snapshot for week 41 of 2025'],
+    ['e', true, 'kept as monthly snapshot for 2025-09'],
+    ['f', false, 'removed - not covered by any retention tier']
+  ]);
+  assert.equal(plan.labelBudget, MAX_STAGING_LABELS - 3 - 1, 'AWSCURRENT, AWSPREVIOUS and release-1 take slots, one is left free');
+  assert.deepEqual(plan.toRemoveLabels, [
+    { versionId: 'b', label: '20251015T080000000Z-bbbb' },
+    { versionId: 'f', label: '20250801T120000000Z-ffff' }
+  ]);
+  assert.deepEqual(plan.toDeleteVersions, ['b'], 'f keeps release-1');
+});
+
+test('identifyVersionsToCleanupByRetention drops the oldest kept labels that do not fit the free label slots', () => {
+  const versions = {
+    ...GFS_VERSIONS,
+    current: ['AWSCURRENT', ...Array.from({ length: 14 }, (_, index) => `release-${index + 2}`)]
+  };
+
+  const plan = identifyVersionsToCleanupByRetention(versions, GFS_POLICY);
+
+  assert.equal(plan.labelBudget, MAX_STAGING_LABELS - 17 - 1);
+  assert.equal(plan.versionsToKeep, 2);
+  assert.deepEqual(plan.decisions.filter(decision => decision.keep).map(decision => decision.versionId), ['a', 'c']);
+  assert.equal(plan.decisions.find(decision => decision.versionId === 'd').reason,
+    'removed - weekly snapshot for week 41 of 2025 does not fit the 2 free label slots');
+  assert.equal(plan.decisions.find(decision => decision.versionId === 'e').reason,
+    'removed - monthly snapshot for 2025-09 does not fit the 2 free label slots');
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend } = require('../secretBackend');
+const { getKmsAlias, getSecretName } = require('../config');
+const { encryptWithKMS, getCurrentSecretValues, getEncryptionContext, resolveSecretVersion, updateSecretValues } = require('../secretManager');
+const { lintSecretValues } = require('../lintSecretValues');
+
+const ENVIRONMENT = 'dev';
+const SECRET_NAME = getSecretName(ENVIRONMENT);
+
+function generateJwtKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  return {
+    priv: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+    pub: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  };
+}
+
+async function putSecret(values) {
+  const encrypt = (key, plaintext) => encryptWithKMS(plaintext, getKmsAlias(ENVIRONMENT), { context: getEncryptionContext(ENVIRONMENT, SECRET_NAME, key) });
+  const { priv, pub } = values.jwtKey;
+  const kid = 'k'.repeat(43);
+  const secret = {
+    JWT_PRIV: await encrypt('JWT_PRIV', priv),
+    JWT_PRIV_DEV: await encrypt('JWT_PRIV_DEV', values.devPriv || priv),
+    JWT_PUB: pub,
+    JWT_PUB_DEV: pub,
+    JWT_KID: kid,
+    JWT_KID_DEV: kid,
+    ...values.extra
+  };
+  await getBackend().putSecretValue({ SecretId: SECRET_NAME, SecretString: JSON.stringify(secret) });
+}
+
+test('a secret that matches its schema lints clean, decrypted or not', async () => {
+  await putSecret({ jwtKey: generateJwtKey(), extra: { MAIN_GOOGLE_WEB_CLIENT_ID: '1234567890-abc123.apps.googleusercontent.com' } });
+
+  assert.deepEqual((await lintSecretValues(ENVIRONMENT)).violations, []);
+  assert.deepEqual((await lintSecretValues(ENVIRONMENT, { decrypt: true })).violations, []);
+});
+
+test('lint reports plaintext in encrypted keys, bad formats and, decrypted, diverging copies', async () => {
+  await putSecret({
+    jwtKey: generateJwtKey(),
+    devPriv: generateJwtKey().priv,
+    extra: { MAIN_APPLE_CLIENT_SECRET: 'not-encrypted', MAIN_GOOGLE_WEB_CLIENT_ID: 'not-a-client-id' }
+  });
+
+  const rules = result => result.violations.map(violation => `${violation.key}:${violation.rule}`).sort();
+  const result = await lintSecretValues(ENVIRONMENT);
+  assert.equal(result.ok, false);
+  assert.deepEqual(rules(result), ['MAIN_APPLE_CLIENT_SECRET:ciphertext', 'MAIN_GOOGLE_WEB_CLIENT_ID:format']);
+
+  // Only decrypting shows that JWT_PRIV_DEV holds another key than JWT_PRIV
+  assert.deepEqual(rules(await lintSecretValues(ENVIRONMENT, { decrypt: true })), [
+    'JWT_PRIV_DEV:copy',
+    'MAIN_APPLE_CLIENT_SECRET:ciphertext',
+    'MAIN_GOOGLE_WEB_CLIENT_ID:format'
+  ]);
+});
+
+test('a write that breaks the schema is refused, one that leaves old problems alone goes through', async () => {
+  await putSecret({ jwtKey: generateJwtKey(), extra: { MAIN_GOOGLE_WEB_CLIENT_ID: 'not-a-client-id' } });
+  const before = await resolveSecretVersion(SECRET_NAME, 'AWSCURRENT');
+
+  await assert.rejects(updateSecretValues(SECRET_NAME, { JWT_KID: 'too-short' }), /the change breaks the schema of .*\n {2}- JWT_KID must be a JWK thumbprint/);
+  await assert.rejects(updateSecretValues(SECRET_NAME, { JWT_PUB: null }), /JWT_PUB is required but missing/);
+  assert.equal((await resolveSecretVersion(SECRET_NAME, 'AWSCURRENT')).versionId, before.versionId);
+
+  // MAIN_GOOGLE_WEB_CLIENT_ID was already wrong, so it does not block other keys
+  await updateSecretValues(SECRET_NAME, { JWT_ALG: 'ES256' });
+  assert.equal((await getCurrentSecretValues(SECRET_NAME)).JWT_ALG, 'ES256');
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend } = require('../secretBackend');
+const { getKmsAlias, getSecretName } = require('../config');
+const { decryptWithKMS, encryptWithKMS, getCurrentSecretValues, getEncryptionContext } = require('../secretManager');
+const { reencryptSecretValues } = require('../reencryptSecretValues');
+
+const ENVIRONMENT = 'dev';
+
+test('reencrypt gives a JWT_PRIV_DEV stored under JWT_PRIV\'s context its own', async () => {
+  const secretName = getSecretName(ENVIRONMENT);
+  const context = key => ({ context: getEncryptionContext(ENVIRONMENT, secretName, key) });
+  const jwtPriv = await encryptWithKMS('private-key-body', getKmsAlias(ENVIRONMENT), context('JWT_PRIV'));
+  await getBackend().putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ JWT_PRIV: jwtPriv, JWT_PRIV_DEV: jwtPriv }) });
+
+  const result = await reencryptSecretValues(ENVIRONMENT, { force: true, nonInteractive: true });
+
+  assert.equal(result.status, 'completed');
+  assert.deepEqual(result.changedKeys, ['JWT_PRIV_DEV']);
+  const values = await getCurrentSecretValues(secretName);
+  assert.equal(values.JWT_PRIV, jwtPriv);
+  assert.equal(await decryptWithKMS(values.JWT_PRIV_DEV, context('JWT_PRIV_DEV')), 'private-key-body');
+  assert.equal((await reencryptSecretValues(ENVIRONMENT, { dryRun: true })).status, 'nothing-to-do');
+});
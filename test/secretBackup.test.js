@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useLocalBackend } = require('./helpers');
+
+const { directory } = useLocalBackend();
+
+const { getBackend } = require('../secretBackend');
+const { getKmsAlias, getSecretName } = require('../config');
+const { decryptWithKMS, encryptWithKMS, getCurrentSecretValues, getEncryptionContext } = require('../secretManager');
+const { backupSecret, restoreSecret } = require('../secretBackup');
+
+const ENVIRONMENT = 'dev';
+const SOURCE = getSecretName(ENVIRONMENT);
+const context = (secretName, key) => ({ context: getEncryptionContext(ENVIRONMENT, secretName, key) });
+
+async function labelsBy(secretName) {
+  const { Versions } = await getBackend().listSecretVersionIds({ SecretId: secretName });
+  return Object.fromEntries(Versions.map(version => [version.VersionId, [...version.VersionStages].sort()]));
+}
+
+test('a KMS backup restores into another secret with its labels and values re-encrypted for it', async () => {
+  const put = async (values, VersionStages) => (await getBackend().putSecretValue({ SecretId: SOURCE, SecretString: JSON.stringify(values), VersionStages })).VersionId;
+  await getBackend().createSecret({ Name: SOURCE });
+  const release = await put({ JWT_PRIV: await encryptWithKMS('old-key', getKmsAlias(ENVIRONMENT), context(SOURCE, 'JWT_PRIV')), PLAIN: 'a' }, ['AWSCURRENT', 'release-1']);
+  const current = await put({ JWT_PRIV: await encryptWithKMS('new-key', getKmsAlias(ENVIRONMENT), context(SOURCE, 'JWT_PRIV')), PLAIN: 'b' }, ['AWSCURRENT']);
+  const file = path.join(directory, 'dev.backup.json');
+
+  const backup = await backupSecret(SOURCE, { file, nonInteractive: true });
+  assert.equal(backup.versionCount, 2);
+  assert.equal(backup.encryption, 'kms');
+
+  const target = 'dev/web3-auth/restored';
+  const result = await restoreSecret(file, { secretName: target, force: true, nonInteractive: true });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(result.sourceSecret, SOURCE);
+  assert.deepEqual(await labelsBy(target), { [release]: ['AWSPREVIOUS', 'release-1'], [current]: ['AWSCURRENT'] });
+  const values = await getCurrentSecretValues(target);
+  assert.equal(values.PLAIN, 'b');
+  assert.equal(await decryptWithKMS(values.JWT_PRIV, context(target, 'JWT_PRIV')), 'new-key');
+  await assert.rejects(decryptWithKMS(values.JWT_PRIV, context(SOURCE, 'JWT_PRIV')), /not bound to JWT_PRIV/);
+
+  // Restoring again finds every version in place and only re-checks them
+  const again = await restoreSecret(file, { secretName: target, force: true, nonInteractive: true });
+  assert.ok(again.versions.every(version => version.exists));
+  assert.deepEqual(Object.keys(await labelsBy(target)).sort(), [release, current].sort());
+});
+
+test('a passphrase backup restores with the same passphrase and refuses another', async () => {
+  const secretName = 'dev/web3-auth/passphrase';
+  await getBackend().createSecret({ Name: secretName });
+  const { VersionId } = await getBackend().putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ PLAIN: 'kept' }) });
+  const file = path.join(directory, 'passphrase.backup.json');
+
+  try {
+    process.env.SECRET_BACKUP_PASSPHRASE = 'too short';
+    await assert.rejects(backupSecret(secretName, { file, passphrase: true, nonInteractive: true }), /at least 12 characters/);
+
+    process.env.SECRET_BACKUP_PASSPHRASE = 'correct horse battery';
+    assert.equal((await backupSecret(secretName, { file, passphrase: true, nonInteractive: true })).encryption, 'passphrase');
+
+    process.env.SECRET_BACKUP_PASSPHRASE = 'wrong horse battery';
+    await assert.rejects(restoreSecret(file, { force: true, nonInteractive: true }), /wrong passphrase or the file was modified/);
+
+    process.env.SECRET_BACKUP_PASSPHRASE = 'correct horse battery';
+    await getBackend().putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ PLAIN: 'overwritten' }) });
+    const result = await restoreSecret(file, { force: true, nonInteractive: true });
+
+    assert.equal(result.status, 'completed');
+    assert.equal((await getCurrentSecretValues(secretName)).PLAIN, 'kept');
+    assert.ok((await labelsBy(secretName))[VersionId].includes('AWSCURRENT'));
+  } finally {
+    delete process.env.SECRET_BACKUP_PASSPHRASE;
+  }
+});
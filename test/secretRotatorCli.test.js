@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { useLocalBackend } = require('./helpers');
+
+const { directory } = useLocalBackend();
+
+const { main } = require('../bin/secret-rotator');
+const { getSecretName } = require('../config');
+const { getCurrentSecretValues } = require('../secretManager');
+const { EXPIRY_EXIT_CODES } = require('../initiateAppleSecretRotation');
+
+test('usage errors exit 2, except for check-expiry where 2 means critical', async () => {
+  assert.equal(await main(['list', '--bogus']), 2);
+  assert.equal(await main(['check-expiry', '--warn-dayz', '30']), EXPIRY_EXIT_CODES.unknown);
+  assert.equal(await main(['check-expiry', '--env', 'nope']), EXPIRY_EXIT_CODES.unknown);
+  assert.equal(await main(['check-expiry', '--warn-days', 'thirty']), EXPIRY_EXIT_CODES.unknown);
+});
+
+// main(argv) must act on the argv it is given, not on process.argv
+test('command options given to main reach the rotation modules', async () => {
+  const keyPath = path.join(directory, 'AuthKey_ABCDE12345.p8');
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  fs.writeFileSync(keyPath, privateKey.export({ format: 'pem', type: 'pkcs8' }));
+
+  assert.equal(await main(['apple', '--env', 'dev', '--app', 'main', '--client-id', 'com.example.web', '--team-id', 'TEAM123456',
+    '--key-path', keyPath, '--expiry-days', '2', '--no-input']), 0);
+  assert.equal(await main(['check-expiry', '--env', 'dev', '--app', 'main', '--warn-days', '3', '--critical-days', '1']), EXPIRY_EXIT_CODES.warning);
+
+  assert.equal(await main(['jwt', '--env', 'dev', '--alg', 'ES256', '--no-input']), 0);
+  assert.equal(await main(['jwt', '--env', 'dev', '--alg', 'ES256', '--grace-hours', '5', '--no-input']), 0);
+  const { JWT_PUB_PREVIOUS_RETIRE_AFTER } = await getCurrentSecretValues(getSecretName('dev'));
+  const graceHours = (new Date(JWT_PUB_PREVIOUS_RETIRE_AFTER) - Date.now()) / (60 * 60 * 1000);
+  assert.ok(graceHours > 4.9 && graceHours <= 5, `previous key retires in ${graceHours} hours, expected 5`);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useLocalBackend } = require('./helpers');
+
+useLocalBackend();
+
+const { getBackend } = require('../secretBackend');
+const { resolveSecretVersion, updateSecretValues, verifySecretUpdate } = require('../secretManager');
+
+const SECRET_NAME = 'dev/verify-test';
+
+const failingCheck = () => {
+  throw new Error('stored value is unusable');
+};
+
+test('a failed verification rolls back to the version that was current before the write', async () => {
+  const secretName = `${SECRET_NAME}/rollback`;
+  const first = await updateSecretValues(secretName, { A: '1' });
+  assert.equal(first.PreviousVersionId, undefined);
+  const second = await updateSecretValues(secretName, { A: '2' });
+  assert.equal(second.PreviousVersionId, first.VersionId);
+
+  await assert.rejects(
+    verifySecretUpdate(secretName, second.VersionId, failingCheck, { rollback: true, previousVersionId: second.PreviousVersionId }),
+    /Verification of dev\/verify-test\/rollback failed: stored value is unusable$/
+  );
+
+  assert.equal((await resolveSecretVersion(secretName, 'AWSCURRENT')).versionId, first.VersionId);
+});
+
+test('a failed verification leaves a newer write by someone else as AWSCURRENT', async () => {
+  const secretName = `${SECRET_NAME}/concurrent`;
+  await updateSecretValues(secretName, { A: '1' });
+  const ours = await updateSecretValues(secretName, { A: '2' });
+  const theirs = await getBackend().putSecretValue({ SecretId: secretName, SecretString: JSON.stringify({ A: '3' }) });
+
+  await assert.rejects(
+    verifySecretUpdate(secretName, ours.VersionId, () => {}, { rollback: true, previousVersionId: ours.PreviousVersionId }),
+    /expected the version just written/
+  );
+
+  assert.equal((await resolveSecretVersion(secretName, 'AWSCURRENT')).versionId, theirs.VersionId);
+});
+
+test('a failed verification of the first write reports the verification error', async () => {
+  const secretName = `${SECRET_NAME}/first`;
+  const first = await updateSecretValues(secretName, { A: '1' });
+
+  await assert.rejects(
+    verifySecretUpdate(secretName, first.VersionId, failingCheck, { rollback: true, previousVersionId: first.PreviousVersionId }),
+    /stored value is unusable/
+  );
+  assert.equal((await resolveSecretVersion(secretName, 'AWSCURRENT')).versionId, first.VersionId);
+});
+
+test('a rollback that fails is reported together with the verification error', async () => {
+  const secretName = `${SECRET_NAME}/rollback-fails`;
+  await updateSecretValues(secretName, { A: '1' });
+  const ours = await updateSecretValues(secretName, { A: '2' });
+
+  await assert.rejects(
+    verifySecretUpdate(secretName, ours.VersionId, failingCheck, { rollback: true, previousVersionId: 'no-such-version' }),
+    /stored value is unusable; rolling back to no-such-version also failed: .*no staging labels/
+  );
+});